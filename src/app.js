@@ -3,22 +3,40 @@ import express from "express";
 import cors from "cors";
 import routes from "./interface/routes/index.js";
 import conn from "./domains/db.js";
+import { redisConn } from "./domains/redis.js";
+import { seedSuperadmin } from "./domains/private/admin/admin.seed.js";
+import { startJobWorker } from "./domains/private/job/job.worker.js";
+import { startPriceScheduler } from "./domains/private/price/price.service.js";
+import { activityLogger } from "./interface/middleware/activity.middleware.js";
 import { endpointNotFound } from "./domains/public/status/status.controller.js";
 import { errorMiddleware } from "./interface/middleware/error.middleware.js";
 
 const app = express();
-conn.then(() => {
+conn.then(async () => {
   console.log("MongoDB ready");
+  await seedSuperadmin();
+  startPriceScheduler();
 });
+redisConn.then(() => {
+  console.log("Redis ready");
+});
+
+// Sin un worker dedicado (worker.js), los trabajos en segundo plano corren en este proceso.
+if (process.env.JOB_WORKER !== "external") {
+  redisConn.then(startJobWorker).catch((error) => {
+    console.error("No se pudo iniciar el worker de trabajos:", error.message);
+  });
+}
+
+const BODY_LIMIT = process.env.BODY_LIMIT || "10mb";
 
 app.use(cors());
-app.use(express.json({ limit: "1mb" }));
-app.use(express.urlencoded({ limit: "1mb", extended: true }));
+app.use(express.json({ limit: BODY_LIMIT }));
+app.use(express.urlencoded({ limit: BODY_LIMIT, extended: true }));
 
-app.use("/api", routes);
+app.use("/api", activityLogger, routes);
 
 app.use(endpointNotFound);
-// app.use("/api", activityLogger, routes);
 app.use(errorMiddleware);
 
 // user rate limiters
@@ -0,0 +1,442 @@
+/**
+ * Códigos de error que devuelve la API, con su estado HTTP y sus mensajes.
+ * Los códigos son estables: el frontend los usa para decidir qué mostrar.
+ * Los mensajes aceptan parámetros entre llaves, ej: "{cod_client}".
+ */
+export const ERROR_CODES = {
+  // genéricos, uno por estado HTTP
+  BAD_REQUEST: {
+    status: 400,
+    es: "La solicitud no es válida.",
+    en: "The request is not valid.",
+  },
+  UNAUTHORIZED: {
+    status: 401,
+    es: "No está autenticado.",
+    en: "Authentication is required.",
+  },
+  FORBIDDEN: {
+    status: 403,
+    es: "No tiene permisos para realizar esta acción.",
+    en: "You are not allowed to perform this action.",
+  },
+  NOT_FOUND: {
+    status: 404,
+    es: "El recurso no existe.",
+    en: "The resource does not exist.",
+  },
+  CONFLICT: {
+    status: 409,
+    es: "La operación entra en conflicto con el estado actual del recurso.",
+    en: "The operation conflicts with the current state of the resource.",
+  },
+  PAYLOAD_TOO_LARGE: {
+    status: 413,
+    es: "El cuerpo de la solicitud es demasiado grande.",
+    en: "The request body is too large.",
+  },
+  INTERNAL_ERROR: {
+    status: 500,
+    es: "Error interno del servidor.",
+    en: "Internal server error.",
+  },
+  SERVICE_UNAVAILABLE: {
+    status: 503,
+    es: "El servicio no está disponible. Intente nuevamente.",
+    en: "The service is unavailable. Please try again.",
+  },
+
+  // validación y datos de entrada
+  VALIDATION_FAILED: {
+    status: 400,
+    es: "Error en la validación de los datos de entrada.",
+    en: "Input data validation failed.",
+  },
+  INVALID_ID: {
+    status: 400,
+    es: "'{value}' no es un valor válido para '{path}'.",
+    en: "'{value}' is not a valid value for '{path}'.",
+  },
+  INVALID_JSON: {
+    status: 400,
+    es: "El cuerpo de la solicitud no es un JSON válido.",
+    en: "The request body is not valid JSON.",
+  },
+  DUPLICATE_KEY: {
+    status: 409,
+    es: "Ya existe un registro con el mismo valor en: {fields}.",
+    en: "A record with the same value already exists for: {fields}.",
+  },
+  FILE_TOO_LARGE: {
+    status: 400,
+    es: "El archivo supera el tamaño máximo permitido.",
+    en: "The file exceeds the maximum allowed size.",
+  },
+  UNSUPPORTED_FILE_FORMAT: {
+    status: 400,
+    es: "Formato de archivo no soportado. Se aceptan: {formats}.",
+    en: "Unsupported file format. Accepted formats: {formats}.",
+  },
+  EXPORT_TOO_LARGE: {
+    status: 400,
+    es: "La exportación supera las {max} filas que admite .xlsx; use el formato .csv.",
+    en: "The export exceeds the {max} rows allowed for .xlsx; use the .csv format.",
+  },
+  FILE_UPLOAD_FAILED: {
+    status: 400,
+    es: "No se pudo recibir el archivo: {reason}",
+    en: "The file could not be received: {reason}",
+  },
+  ENDPOINT_NOT_FOUND: {
+    status: 404,
+    es: "No existe el endpoint {method} {path}. Verifique la URL y el método.",
+    en: "Endpoint {method} {path} does not exist. Check the URL and method.",
+  },
+
+  // autenticación y sesiones
+  TOKEN_MISSING: {
+    status: 401,
+    es: "No se envió el token de acceso.",
+    en: "The access token was not provided.",
+  },
+  TOKEN_INVALID: {
+    status: 401,
+    es: "El token de acceso no es válido o expiró.",
+    en: "The access token is invalid or expired.",
+  },
+  TOKEN_REVOKED: {
+    status: 401,
+    es: "La sesión fue cerrada. Vuelva a iniciar sesión.",
+    en: "The session was closed. Please log in again.",
+  },
+  ROLE_NOT_ALLOWED: {
+    status: 403,
+    es: "Su usuario no tiene acceso a este recurso.",
+    en: "Your user does not have access to this resource.",
+  },
+  REFRESH_TOKEN_INVALID: {
+    status: 401,
+    es: "Token de refresco inválido o expirado.",
+    en: "The refresh token is invalid or expired.",
+  },
+  SESSION_INVALID: {
+    status: 401,
+    es: "La sesión ya no es válida.",
+    en: "The session is no longer valid.",
+  },
+  USER_ACCESS_REVOKED: {
+    status: 401,
+    es: "El usuario ya no tiene acceso.",
+    en: "The user no longer has access.",
+  },
+  INVALID_CREDENTIALS: {
+    status: 401,
+    es: "Usuario o contraseña incorrectos.",
+    en: "Incorrect username or password.",
+  },
+  WRONG_CURRENT_PASSWORD: {
+    status: 401,
+    es: "La contraseña actual es incorrecta.",
+    en: "The current password is incorrect.",
+  },
+  PASSWORD_CHANGE_REQUIRED: {
+    status: 403,
+    es: "Debe cambiar su contraseña antes de continuar.",
+    en: "You must change your password before continuing.",
+  },
+
+  // análisis de archivos de carga masiva
+  ANALYSIS_NOT_FOUND: {
+    status: 404,
+    es: "El análisis no existe o expiró. Vuelva a analizar el archivo.",
+    en: "The analysis does not exist or has expired. Analyze the file again.",
+  },
+  ANALYSIS_FORBIDDEN: {
+    status: 403,
+    es: "El análisis pertenece a otro usuario.",
+    en: "The analysis belongs to another user.",
+  },
+  ANALYSIS_ALREADY_CONFIRMED: {
+    status: 409,
+    es: "El análisis ya fue confirmado.",
+    en: "The analysis has already been confirmed.",
+  },
+  MIGRATION_EMPTY_FILE: {
+    status: 400,
+    es: "El archivo no contiene filas para cargar.",
+    en: "The file contains no rows to load.",
+  },
+  MIGRATION_INVALID_MODE: {
+    status: 400,
+    es: "El modo debe ser uno de: {modes}.",
+    en: "The mode must be one of: {modes}.",
+  },
+  MIGRATION_NO_VALID_ROWS: {
+    status: 400,
+    es: "Ninguna fila del archivo pasó las validaciones requeridas.",
+    en: "No row in the file passed the required validations.",
+  },
+  MIGRATION_NOTHING_SELECTED: {
+    status: 400,
+    es: "No se seleccionó ninguna fila para cargar.",
+    en: "No rows were selected to load.",
+  },
+  MIGRATION_BATCH_NOT_FOUND: {
+    status: 404,
+    es: "Migración no encontrada.",
+    en: "Migration not found.",
+  },
+  MIGRATION_ALREADY_ROLLED_BACK: {
+    status: 409,
+    es: "La migración ya fue revertida.",
+    en: "The migration has already been rolled back.",
+  },
+
+  // clientes
+  CLIENT_NOT_FOUND: {
+    status: 404,
+    es: "Cliente no encontrado.",
+    en: "Client not found.",
+  },
+  CLIENT_DUPLICATE_CODE: {
+    status: 409,
+    es: "Ya existe un cliente con el código '{cod_client}'.",
+    en: "A client with code '{cod_client}' already exists.",
+  },
+  CLIENT_DUPLICATE_CUIT: {
+    status: 409,
+    es: "Ya existe un cliente con el CUIT '{identiftri}'.",
+    en: "A client with CUIT '{identiftri}' already exists.",
+  },
+  CLIENT_DUPLICATE_USERNAME: {
+    status: 409,
+    es: "El nombre de usuario '{username}' ya está en uso.",
+    en: "The username '{username}' is already taken.",
+  },
+  CLIENT_CODE_NOT_FOUND: {
+    status: 404,
+    es: "No existe un cliente con el código '{cod_client}'.",
+    en: "There is no client with code '{cod_client}'.",
+  },
+  CLIENT_INACTIVE: {
+    status: 403,
+    es: "El cliente no existe o se encuentra inactivo.",
+    en: "The client does not exist or is inactive.",
+  },
+  PRICES_FORBIDDEN: {
+    status: 403,
+    es: "Solo puede consultar sus propios precios.",
+    en: "You can only query your own prices.",
+  },
+
+  // usuarios administradores
+  ADMIN_NOT_FOUND: {
+    status: 404,
+    es: "Usuario no encontrado.",
+    en: "User not found.",
+  },
+  ADMIN_INACTIVE: {
+    status: 403,
+    es: "El usuario se encuentra inactivo.",
+    en: "The user is inactive.",
+  },
+  ADMIN_DUPLICATE_USERNAME: {
+    status: 409,
+    es: "El nombre de usuario '{username}' ya está en uso.",
+    en: "The username '{username}' is already taken.",
+  },
+  ADMIN_SELF_UPDATE: {
+    status: 400,
+    es: "No puede cambiar su propio rol ni desactivarse.",
+    en: "You cannot change your own role or deactivate yourself.",
+  },
+  ADMIN_SELF_DELETE: {
+    status: 400,
+    es: "No puede eliminar su propio usuario.",
+    en: "You cannot delete your own user.",
+  },
+
+  // productos, precios e imágenes
+  PRODUCT_NOT_FOUND: {
+    status: 404,
+    es: "No existe un producto con el código '{code}'.",
+    en: "There is no product with code '{code}'.",
+  },
+  PRODUCT_DUPLICATE_CODE: {
+    status: 409,
+    es: "Ya existe un producto con el código '{code}'.",
+    en: "A product with code '{code}' already exists.",
+  },
+  PRICE_CHANGE_NOT_FOUND: {
+    status: 404,
+    es: "Cambio de precio no encontrado.",
+    en: "Price change not found.",
+  },
+  PRICE_CHANGE_NOT_PENDING: {
+    status: 409,
+    es: "El cambio de precio ya fue aplicado o cancelado.",
+    en: "The price change has already been applied or cancelled.",
+  },
+  PRICE_RULE_NOT_FOUND: {
+    status: 404,
+    es: "Regla de precio no encontrada.",
+    en: "Price rule not found.",
+  },
+  IMAGE_NOT_FOUND: {
+    status: 404,
+    es: "El producto no tiene imagen.",
+    en: "The product has no image.",
+  },
+  IMAGE_INVALID: {
+    status: 400,
+    es: "El archivo no es una imagen válida.",
+    en: "The file is not a valid image.",
+  },
+  ZIP_INVALID: {
+    status: 400,
+    es: "El archivo .zip está dañado o no es válido.",
+    en: "The .zip file is corrupt or invalid.",
+  },
+  ZIP_TOO_MANY_ENTRIES: {
+    status: 400,
+    es: "El archivo .zip tiene más de {max} archivos.",
+    en: "The .zip file has more than {max} entries.",
+  },
+  ZIP_TOO_LARGE: {
+    status: 400,
+    es: "El contenido del archivo .zip supera los {max} MB.",
+    en: "The contents of the .zip file exceed {max} MB.",
+  },
+  FILE_MISSING: {
+    status: 400,
+    es: "Debe adjuntar el archivo en el campo '{field}'.",
+    en: "The file must be attached in the '{field}' field.",
+  },
+
+  // laboratorios
+  LAB_NOT_FOUND: {
+    status: 404,
+    es: "Laboratorio no encontrado.",
+    en: "Lab not found.",
+  },
+  LAB_NAME_NOT_FOUND: {
+    status: 400,
+    es: "No existe el laboratorio '{name}'.",
+    en: "There is no lab named '{name}'.",
+  },
+  LAB_NAME_CONFLICT: {
+    status: 409,
+    es: "Ya hay un laboratorio con el nombre o alias: {names}.",
+    en: "A lab already uses the name or alias: {names}.",
+  },
+  LAB_IN_USE: {
+    status: 409,
+    es: "El laboratorio tiene productos o reglas de precio. Únalo a otro en lugar de eliminarlo.",
+    en: "The lab has products or price rules. Merge it into another lab instead of deleting it.",
+  },
+  LAB_MERGE_SELF: {
+    status: 400,
+    es: "No se puede unir un laboratorio consigo mismo.",
+    en: "A lab cannot be merged into itself.",
+  },
+  LAB_MERGE_SOURCE_NOT_FOUND: {
+    status: 404,
+    es: "Alguno de los laboratorios a unir no existe.",
+    en: "One of the labs to merge does not exist.",
+  },
+
+  // pedidos
+  ORDER_NOT_FOUND: {
+    status: 404,
+    es: "Pedido no encontrado.",
+    en: "Order not found.",
+  },
+  ORDER_UNKNOWN_PRODUCTS: {
+    status: 400,
+    es: "Productos inexistentes: {codes}.",
+    en: "Unknown products: {codes}.",
+  },
+  ORDER_PRODUCT_WITHOUT_PRICE: {
+    status: 400,
+    es: "Productos sin precio: {codes}.",
+    en: "Products without a price: {codes}.",
+  },
+  ORDER_NOT_EDITABLE: {
+    status: 409,
+    es: "Solo se pueden modificar los pedidos en borrador.",
+    en: "Only draft orders can be modified.",
+  },
+  ORDER_INVALID_TRANSITION: {
+    status: 409,
+    es: "Un pedido '{from}' no puede pasar a '{to}'.",
+    en: "An order in '{from}' cannot move to '{to}'.",
+  },
+  ORDER_TRANSITION_FORBIDDEN: {
+    status: 403,
+    es: "No tiene permisos para pasar el pedido a '{to}'.",
+    en: "You are not allowed to move the order to '{to}'.",
+  },
+  ORDER_STATUS_CHANGED: {
+    status: 409,
+    es: "El pedido cambió de estado. Vuelva a intentarlo.",
+    en: "The order status changed. Please try again.",
+  },
+
+  // stock y depósitos
+  INSUFFICIENT_STOCK: {
+    status: 409,
+    es: "Stock insuficiente del producto {code}.",
+    en: "Insufficient stock for product {code}.",
+  },
+  STOCK_CHANGED: {
+    status: 409,
+    es: "El stock del producto {code} cambió después del análisis.",
+    en: "The stock of product {code} changed after the analysis.",
+  },
+  WAREHOUSE_NOT_FOUND: {
+    status: 404,
+    es: "No existe el depósito '{code}'.",
+    en: "Warehouse '{code}' does not exist.",
+  },
+  WAREHOUSE_DUPLICATE_CODE: {
+    status: 409,
+    es: "Ya existe un depósito con el código '{code}'.",
+    en: "A warehouse with code '{code}' already exists.",
+  },
+  WAREHOUSE_INACTIVE: {
+    status: 409,
+    es: "No se pueden registrar movimientos en un depósito inactivo.",
+    en: "Movements cannot be recorded in an inactive warehouse.",
+  },
+
+  // trabajos en segundo plano
+  JOB_NOT_FOUND: {
+    status: 404,
+    es: "El trabajo no existe o expiró.",
+    en: "The job does not exist or has expired.",
+  },
+  JOB_FORBIDDEN: {
+    status: 403,
+    es: "El trabajo pertenece a otro usuario.",
+    en: "The job belongs to another user.",
+  },
+  JOB_FINISHED: {
+    status: 409,
+    es: "El trabajo ya terminó.",
+    en: "The job has already finished.",
+  },
+};
+
+export const SUPPORTED_LANGUAGES = ["es", "en"];
+
+/* código genérico de cada estado, para los errores que no tienen uno propio */
+export const CODE_BY_STATUS = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  500: "INTERNAL_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+};
@@ -0,0 +1,41 @@
+/**
+ * Encabezados canónicos de los archivos de carga masiva y sus variantes aceptadas.
+ * La clave es el nombre que esperan los controladores; los alias se comparan
+ * sin acentos, mayúsculas ni signos de puntuación.
+ */
+export const CLIENT_FILE_HEADERS = {
+  COD_CLIENT: ["COD_CLIENT", "Cód. Cliente", "Codigo Cliente"],
+  IDENTIFTRI: ["IDENTIFTRI", "Identificador Fiscal", "CUIT"],
+  RAZON_SOCI: ["RAZON_SOCI", "Razón Social"],
+};
+
+export const PRODUCT_FILE_HEADERS = {
+  Codigo: ["Codigo", "Código", "Cod. Artículo"],
+  Laboratorio: ["Laboratorio", "Lab"],
+  "Descripción": ["Descripción"],
+  "Descripción Adicional": ["Descripción Adicional"],
+  "Notas Artículo": ["Notas Artículo", "Notas"],
+  "Cod. IVA": ["Cod. IVA", "IVA"],
+  "Pr. Medinor": ["Pr. Medinor", "Precio Medinor"],
+  "Pr. Público": ["Pr. Público", "Precio Público"],
+  "Pr. Costo": ["Pr. Costo", "Precio Costo"],
+};
+
+export const PRICE_RULE_FILE_HEADERS = {
+  COD_CLIENT: ["COD_CLIENT", "Cód. Cliente", "Codigo Cliente"],
+  Tipo: ["Tipo", "Tipo Regla"],
+  Laboratorio: ["Laboratorio", "Lab"],
+  Codigo: ["Codigo", "Código", "Cod. Artículo"],
+  Descuento: ["Descuento", "% Descuento", "Descuento %"],
+  Precio: ["Precio", "Precio Fijo"],
+  "Cantidad Mínima": ["Cantidad Mínima", "Cant. Mínima", "Desde Cantidad"],
+  Desde: ["Desde", "Vigencia Desde"],
+  Hasta: ["Hasta", "Vigencia Hasta"],
+};
+
+export const STOCK_FILE_HEADERS = {
+  Codigo: ["Codigo", "Código", "Cod. Artículo"],
+  Deposito: ["Deposito", "Depósito", "Almacén"],
+  Cantidad: ["Cantidad", "Stock", "Existencia"],
+  "Stock Mínimo": ["Stock Mínimo", "Mínimo"],
+};
@@ -0,0 +1,17 @@
+/**
+ * Roles disponibles en los tokens de acceso.
+ */
+const ROLES = {
+  superadmin: "superadmin",
+  admin: "admin",
+  viewer: "viewer",
+  client: "client",
+};
+
+/* roles de los usuarios del panel de administración */
+export const ADMIN_ROLES = [ROLES.superadmin, ROLES.admin, ROLES.viewer];
+
+/* roles del panel que pueden modificar datos */
+export const EDITOR_ROLES = [ROLES.superadmin, ROLES.admin];
+
+export default ROLES;
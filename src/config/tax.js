@@ -0,0 +1,21 @@
+/**
+ * Alícuotas de IVA, en porcentaje, por "Cod. IVA" del sistema de gestión.
+ */
+export const IVA_CODES = {
+  1: 0, // exento
+  2: 21, // general
+  3: 10.5, // reducida
+};
+
+export const IVA_RATES = Object.values(IVA_CODES);
+
+/*
+ * Alícuota que corresponde a un producto. Los productos guardados antes de
+ * `iva_rate` tienen el booleano `iva` hasta que se vuelve a importar la lista.
+ */
+export const ivaRateFor = (product) =>
+  product.iva_rate ?? (product.iva ? IVA_CODES[2] : IVA_CODES[1]);
+
+/* "Cod. IVA" de una alícuota, para las exportaciones */
+export const ivaCodeFor = (rate) =>
+  Object.keys(IVA_CODES).find((code) => IVA_CODES[code] === rate);
@@ -0,0 +1,169 @@
+import bcrypt from "bcrypt";
+import asyncHandler from "express-async-handler";
+import Admin from "./admin.model.js";
+import {
+  createSession,
+  revokeSubjectSessions,
+} from "../../../util/sessionStore.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../../../util/errorHandler.js";
+
+/* convierte _id a id y nunca expone la contraseña */
+const transformAdminDocument = (doc) => {
+  const plainObject = doc.toObject ? doc.toObject() : doc;
+  const { _id, __v, password, ...rest } = plainObject;
+  return { id: _id.toString(), ...rest };
+};
+
+/* datos que viajan dentro del token de un administrador */
+export const buildAdminPayload = (admin) => ({
+  id: admin._id.toString(),
+  username: admin.username,
+  role: admin.role,
+});
+
+const assertUniqueUsername = async (username, excludeId) => {
+  if (!username) return;
+  const duplicate = await Admin.findOne({
+    username,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).lean();
+  if (duplicate) {
+    throw new ConflictError("ADMIN_DUPLICATE_USERNAME", {
+      params: { username },
+    });
+  }
+};
+
+/**
+ * @desc    Inicia sesión de un usuario del panel y devuelve su token.
+ * @route   POST /api/auth/admin/login
+ * @access  Public
+ */
+export const loginAdmin = asyncHandler(async (req, res) => {
+  const { username, password } = req.joiBody;
+
+  const admin = await Admin.findOne({
+    username: username.toLowerCase(),
+  }).select("+password");
+  const passwordMatches =
+    admin && (await bcrypt.compare(password, admin.password));
+
+  if (!passwordMatches) {
+    throw new UnauthorizedError("INVALID_CREDENTIALS");
+  }
+
+  if (!admin.active) {
+    throw new ForbiddenError("ADMIN_INACTIVE");
+  }
+
+  res.status(200).json({
+    ...(await createSession(buildAdminPayload(admin))),
+    admin: transformAdminDocument(admin),
+  });
+});
+
+/**
+ * @desc    Obtener todos los usuarios del panel.
+ * @route   GET /api/admins
+ * @access  Private (superadmin)
+ */
+export const getAllAdmins = asyncHandler(async (req, res) => {
+  const admins = await Admin.find().sort({ username: 1 });
+  const items = admins.map((admin) => transformAdminDocument(admin));
+  res.status(200).json({ items });
+});
+
+/**
+ * @desc    Obtener un usuario del panel por su ID.
+ * @route   GET /api/admins/:id
+ * @access  Private (superadmin)
+ */
+export const getAdminById = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.params.id);
+  if (!admin) {
+    throw new NotFoundError("ADMIN_NOT_FOUND");
+  }
+  res.status(200).json(transformAdminDocument(admin));
+});
+
+/**
+ * @desc    Crear un usuario del panel.
+ * @route   POST /api/admins
+ * @access  Private (superadmin)
+ */
+export const createAdmin = asyncHandler(async (req, res) => {
+  const { password, ...data } = req.joiBody;
+
+  await assertUniqueUsername(data.username);
+
+  const savedAdmin = await new Admin({
+    ...data,
+    password: await bcrypt.hash(password, 10),
+  }).save();
+
+  res.status(201).json(transformAdminDocument(savedAdmin));
+});
+
+/**
+ * @desc    Actualizar un usuario del panel.
+ * @route   PUT /api/admins/:id
+ * @access  Private (superadmin)
+ */
+export const updateAdminById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updateData = { ...req.joiBody };
+
+  if (id === req.user.id && (updateData.role || updateData.active === false)) {
+    throw new BadRequestError("ADMIN_SELF_UPDATE");
+  }
+
+  await assertUniqueUsername(updateData.username, id);
+
+  if (updateData.password) {
+    updateData.password = await bcrypt.hash(updateData.password, 10);
+  } else {
+    delete updateData.password;
+  }
+
+  const updatedAdmin = await Admin.findByIdAndUpdate(id, updateData, {
+    new: true,
+  });
+
+  if (!updatedAdmin) {
+    throw new NotFoundError("ADMIN_NOT_FOUND");
+  }
+
+  if (updateData.active === false || updateData.role || updateData.password) {
+    await revokeSubjectSessions("admin", id);
+  }
+
+  res.status(200).json(transformAdminDocument(updatedAdmin));
+});
+
+/**
+ * @desc    Eliminar un usuario del panel.
+ * @route   DELETE /api/admins/:id
+ * @access  Private (superadmin)
+ */
+export const deleteAdminById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (id === req.user.id) {
+    throw new BadRequestError("ADMIN_SELF_DELETE");
+  }
+
+  const deletedAdmin = await Admin.findByIdAndDelete(id);
+  if (!deletedAdmin) {
+    throw new NotFoundError("ADMIN_NOT_FOUND");
+  }
+
+  await revokeSubjectSessions("admin", id);
+
+  res.status(200).json(transformAdminDocument(deletedAdmin));
+});
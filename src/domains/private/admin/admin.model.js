@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+import { ADMIN_ROLES } from "../../../config/roles.js";
+
+const adminSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true },
+    name: { type: String },
+    email: { type: String },
+    password: { type: String, required: true, select: false },
+    role: { type: String, enum: ADMIN_ROLES, required: true },
+    active: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Admin = mongoose.model("Admin", adminSchema);
+
+export default Admin;
@@ -0,0 +1,25 @@
+import express from "express";
+import {
+  createAdmin,
+  deleteAdminById,
+  getAdminById,
+  getAllAdmins,
+  updateAdminById,
+} from "./admin.controller.js";
+import { validateReqBody } from "../../../interface/middleware/joi.middleware.js";
+import { createAdminSchema, updateAdminSchema } from "./admin.validation.js";
+
+const router = express.Router();
+
+router
+  .route("/")
+  .get(getAllAdmins)
+  .post(validateReqBody(createAdminSchema), createAdmin);
+
+router
+  .route("/:id")
+  .get(getAdminById)
+  .put(validateReqBody(updateAdminSchema), updateAdminById)
+  .delete(deleteAdminById);
+
+export default router;
@@ -0,0 +1,22 @@
+import bcrypt from "bcrypt";
+import Admin from "./admin.model.js";
+import ROLES from "../../../config/roles.js";
+
+/**
+ * Crea el primer superadmin a partir de ADMIN_USERNAME y ADMIN_PASSWORD
+ * cuando todavía no existe ningún usuario del panel.
+ */
+export const seedSuperadmin = async () => {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+
+  const adminCount = await Admin.estimatedDocumentCount();
+  if (adminCount > 0) return;
+
+  await Admin.create({
+    username: ADMIN_USERNAME.toLowerCase(),
+    password: await bcrypt.hash(ADMIN_PASSWORD, 10),
+    role: ROLES.superadmin,
+  });
+  console.log(`Superadmin inicial creado: ${ADMIN_USERNAME}`);
+};
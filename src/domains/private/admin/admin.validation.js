@@ -0,0 +1,46 @@
+import Joi from "joi";
+import { ADMIN_ROLES } from "../../../config/roles.js";
+
+/**
+ * Schema para la creación de un usuario administrador.
+ */
+export const createAdminSchema = Joi.object({
+  username: Joi.string().trim().lowercase().min(3).required().messages({
+    "string.min": `"Usuario" debe tener al menos 3 caracteres.`,
+    "any.required": `"Usuario" es un campo obligatorio.`,
+  }),
+  name: Joi.string().trim().allow(""),
+  email: Joi.string().trim().email().allow(""),
+  password: Joi.string().min(8).max(72).required().messages({
+    "string.min": `"Contraseña" debe tener al menos 8 caracteres.`,
+    "any.required": `"Contraseña" es un campo obligatorio.`,
+  }),
+  role: Joi.string()
+    .valid(...ADMIN_ROLES)
+    .required()
+    .messages({
+      "any.only": `"Rol" debe ser uno de: ${ADMIN_ROLES.join(", ")}.`,
+      "any.required": `"Rol" es un campo obligatorio.`,
+    }),
+  active: Joi.boolean().default(true),
+});
+
+/**
+ * Schema para la actualización de un usuario administrador.
+ */
+export const updateAdminSchema = Joi.object({
+  username: Joi.string().trim().lowercase().min(3),
+  name: Joi.string().trim().allow(""),
+  email: Joi.string().trim().email().allow(""),
+  password: Joi.string().min(8).max(72).allow(""),
+  role: Joi.string()
+    .valid(...ADMIN_ROLES)
+    .messages({
+      "any.only": `"Rol" debe ser uno de: ${ADMIN_ROLES.join(", ")}.`,
+    }),
+  active: Joi.boolean(),
+})
+  .min(1)
+  .messages({
+    "object.min": "Debe proporcionar al menos un campo para actualizar.",
+  });
@@ -0,0 +1,42 @@
+import asyncHandler from "express-async-handler";
+import AuditLog from "./audit.model.js";
+import { buildPageResponse } from "../../../util/pagination.js";
+
+/**
+ * @desc    Consultar el registro de auditoría, filtrando por entidad, autor y fechas.
+ * @route   GET /api/audit
+ * @access  Private
+ */
+export const getAuditLog = asyncHandler(async (req, res) => {
+  const { page, limit, entity, action, actor, targetId, from, to } =
+    req.joiQuery;
+
+  const filter = {};
+  if (entity) filter.entity = entity;
+  if (action) filter.action = action;
+  if (targetId) filter.targetId = targetId;
+  if (actor) {
+    filter.$or = [{ "actor.id": actor }, { "actor.username": actor }];
+  }
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  const items = entries.map(({ _id, __v, ...rest }) => ({
+    id: _id.toString(),
+    ...rest,
+  }));
+  res.status(200).json(buildPageResponse({ items, total, page, limit }));
+});
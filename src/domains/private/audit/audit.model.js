@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      id: { type: String },
+      username: { type: String },
+      role: { type: String },
+    },
+    entity: { type: String, required: true },
+    action: { type: String, required: true },
+    targetId: { type: String },
+    method: { type: String },
+    route: { type: String },
+    statusCode: { type: Number },
+    ip: { type: String },
+    diff: { type: mongoose.Schema.Types.Mixed },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ entity: 1, createdAt: -1 });
+auditLogSchema.index({ "actor.id": 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+/* el registro de auditoría es de solo escritura: no se modifica ni se borra */
+const rejectChange = function () {
+  throw new Error("El registro de auditoría no puede modificarse.");
+};
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
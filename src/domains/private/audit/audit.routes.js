@@ -0,0 +1,10 @@
+import express from "express";
+import { getAuditLog } from "./audit.controller.js";
+import { validateReqQuery } from "../../../interface/middleware/joi.middleware.js";
+import { listAuditQuerySchema } from "./audit.validation.js";
+
+const router = express.Router();
+
+router.get("/", validateReqQuery(listAuditQuerySchema), getAuditLog);
+
+export default router;
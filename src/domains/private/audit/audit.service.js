@@ -0,0 +1,74 @@
+import AuditLog from "./audit.model.js";
+
+const REDACTED = "[REDACTED]";
+
+/* campos que nunca se guardan en claro */
+const SENSITIVE_FIELDS = new Set(["password"]);
+
+/* campos técnicos que no aportan al historial */
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+
+const toPlainObject = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+/* compara valores simples, ObjectId y fechas por su representación JSON */
+const isSameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Calcula las diferencias campo a campo entre dos versiones de un documento.
+ * Las contraseñas se informan como modificadas pero nunca con su valor.
+ * @param {Object} [before] - El documento antes del cambio (null si se creó).
+ * @param {Object} [after] - El documento después del cambio (null si se borró).
+ * @returns {Object} `{ campo: { from, to } }`.
+ */
+export const buildDiff = (before, after) => {
+  const previous = toPlainObject(before) || {};
+  const current = toPlainObject(after) || {};
+  const diff = {};
+
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    if (isSameValue(previous[field], current[field])) continue;
+
+    diff[field] = SENSITIVE_FIELDS.has(field)
+      ? { from: REDACTED, to: REDACTED }
+      : { from: previous[field] ?? null, to: current[field] ?? null };
+  }
+
+  return diff;
+};
+
+/* datos del pedido que acompañan a cada entrada */
+export const auditContextFromRequest = (req, res) => ({
+  actor: req.user
+    ? { id: req.user.id, username: req.user.username, role: req.user.role }
+    : undefined,
+  method: req.method,
+  route: req.originalUrl,
+  statusCode: res?.statusCode,
+  ip: req.ip,
+});
+
+/**
+ * Guarda entradas de auditoría. Los errores se registran en consola pero no
+ * interrumpen la operación ya realizada.
+ * @param {Object[]} entries - `{ entity, action, targetId, before, after, diff }` más el contexto del pedido.
+ */
+export const writeAuditEntries = async (entries) => {
+  if (entries.length === 0) return;
+
+  const documents = entries.map(
+    ({ before, after, diff, targetId, ...rest }) => ({
+      ...rest,
+      targetId: targetId ? String(targetId) : undefined,
+      diff: diff || buildDiff(before, after),
+    })
+  );
+
+  try {
+    await AuditLog.insertMany(documents, { ordered: false });
+  } catch (error) {
+    console.error("Error guardando la auditoría:", error);
+  }
+};
@@ -0,0 +1,22 @@
+import Joi from "joi";
+import { paginationQuery } from "../../../util/pagination.js";
+
+/**
+ * Schema para los filtros del registro de auditoría.
+ */
+export const listAuditQuerySchema = Joi.object({
+  ...paginationQuery,
+  entity: Joi.string().trim(),
+  action: Joi.string().trim(),
+  actor: Joi.string().trim().messages({
+    "string.base": `"actor" debe ser el ID o el nombre de usuario.`,
+  }),
+  targetId: Joi.string().trim(),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when("from", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("from")),
+    }),
+});
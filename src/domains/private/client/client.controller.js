@@ -1,3 +1,4 @@
+import mongoose from "mongoose";
 import Client from "./client.model.js";
 import bcrypt from "bcrypt";
 import asyncHandler from "express-async-handler";
@@ -7,11 +8,103 @@ import {
   cleanRazonSoci,
 } from "../../../util/clientMigrationCleaner.js";
 import { clientObjectSchema } from "./client.validation.js";
+import { formatCuit } from "../../../util/cuit.js";
+import { createRazonSocialIndex } from "../../../util/razonSocialMatcher.js";
+import { revokeSubjectSessions } from "../../../util/sessionStore.js";
+import { recordMigrationBatch } from "../migration/migration.service.js";
+import {
+  claimAnalysis,
+  getAnalysis,
+  saveAnalysis,
+} from "../../../util/analysisStore.js";
+import { sendSpreadsheet } from "../../../util/spreadsheetWriter.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../../../util/errorHandler.js";
+import { CLIENT_FILE_HEADERS } from "../../../config/fileHeaders.js";
+import { auditContextFromRequest } from "../audit/audit.service.js";
+import { chunksOf, enqueueJob } from "../job/job.service.js";
+import {
+  buildPageResponse,
+  escapeRegex,
+  parseSort,
+} from "../../../util/pagination.js";
+
+/*
+ * "insert" solo crea clientes nuevos; "upsert" además informa las diferencias de los
+ * existentes, porque el ERP es la fuente de la Razón Social y el CUIT.
+ */
+const MIGRATION_MODES = ["insert", "upsert"];
 
-const handleError = (message, statusCode) => {
-  const error = new Error(message);
-  error.statusCode = statusCode;
-  throw error;
+/* campos que una migración en modo upsert puede actualizar */
+const UPSERT_FIELDS = {
+  razon_soci: "RAZON_SOCI",
+  identiftri: "IDENTIFTRI",
+};
+
+/* diferencias entre el cliente guardado y la fila del archivo, por campo del modelo */
+const diffClient = (stored, row) => {
+  const changes = {};
+  for (const [field, column] of Object.entries(UPSERT_FIELDS)) {
+    if (stored[field] !== row[column]) {
+      changes[field] = { from: stored[field], to: row[column] };
+    }
+  }
+  return changes;
+};
+
+const DUPLICATE_SIMILARITY_THRESHOLD =
+  Number(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.8;
+
+/* valor que asigna cleanRazonSoci cuando la fila no trae Razón Social */
+const EMPTY_RAZON_SOCI = "SIN CARGA INICIAL";
+
+/**
+ * Busca clientes nuevos cuya Razón Social se parece a la de un cliente existente
+ * o a la de otra fila del archivo, aunque tengan distinto código o CUIT.
+ * @param {Object[]} newClients - Los clientes que el análisis considera nuevos.
+ * @returns {Promise<Object[]>} Los clientes con sus candidatos ordenados por similitud.
+ */
+const findPossibleDuplicates = async (newClients) => {
+  const clientsToCheck = newClients.filter(
+    (client) => client.RAZON_SOCI !== EMPTY_RAZON_SOCI
+  );
+  if (clientsToCheck.length === 0) return [];
+
+  const clientsInDB = await Client.find(
+    { razon_soci: { $ne: EMPTY_RAZON_SOCI } },
+    "cod_client identiftri razon_soci"
+  ).lean();
+
+  const dbIndex = createRazonSocialIndex(clientsInDB, (c) => c.razon_soci);
+  const fileIndex = createRazonSocialIndex(clientsToCheck, (c) => c.RAZON_SOCI);
+  const options = { threshold: DUPLICATE_SIMILARITY_THRESHOLD };
+
+  return clientsToCheck.flatMap((client) => {
+    const candidates = [
+      ...dbIndex
+        .findSimilar(client.RAZON_SOCI, options)
+        .map(({ record, score }) => ({
+          source: "database",
+          COD_CLIENT: record.cod_client,
+          IDENTIFTRI: record.identiftri,
+          RAZON_SOCI: record.razon_soci,
+          score,
+        })),
+      ...fileIndex
+        .findSimilar(client.RAZON_SOCI, {
+          ...options,
+          exclude: (record) => record === client,
+        })
+        .map(({ record, score }) => ({ source: "file", ...record, score })),
+    ]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 5);
+
+    return candidates.length > 0 ? [{ ...client, candidates }] : [];
+  });
 };
 
 /**
@@ -20,9 +113,14 @@ const handleError = (message, statusCode) => {
  * @access  Private
  */
 export const analyzeClients = asyncHandler(async (req, res) => {
-  const { clients: rawClients } = req.body;
+  const { clients: rawClients, mode = "insert" } = req.body;
   if (!rawClients || rawClients.length === 0) {
-    handleError("El archivo no contiene clientes.", 400);
+    throw new BadRequestError("MIGRATION_EMPTY_FILE");
+  }
+  if (!MIGRATION_MODES.includes(mode)) {
+    throw new BadRequestError("MIGRATION_INVALID_MODE", {
+      params: { modes: MIGRATION_MODES.join(", ") },
+    });
   }
 
   const cleanedClients = rawClients.map((client) => ({
@@ -56,13 +154,6 @@ export const analyzeClients = asyncHandler(async (req, res) => {
     }
   }
 
-  if (validClients.length === 0 && invalidRows.length > 0) {
-    handleError(
-      "Ningún cliente en el archivo pasó las validaciones requeridas.",
-      400
-    );
-  }
-
   const cuitsInFile = validClients.map((c) => c.IDENTIFTRI);
   const codesInFile = validClients.map((c) => c.COD_CLIENT);
 
@@ -71,13 +162,19 @@ export const analyzeClients = asyncHandler(async (req, res) => {
       { identiftri: { $in: cuitsInFile } },
       { cod_client: { $in: codesInFile } },
     ],
-  });
+  }).setOptions({ withDeleted: true });
 
-  const existingCuitsInDB = new Set(clientsInDB.map((c) => c.identiftri));
-  const existingCodesInDB = new Set(clientsInDB.map((c) => c.cod_client));
+  const existingCuitsInDB = new Map(
+    clientsInDB.map((c) => [c.identiftri, c.cod_client])
+  );
+  const existingCodesInDB = new Map(clientsInDB.map((c) => [c.cod_client, c]));
+  const deletedCodesInDB = new Set(
+    clientsInDB.filter((c) => c.deletedAt).map((c) => c.cod_client)
+  );
 
   const newClients = [];
   const currentClients = [];
+  const updatedClients = [];
   const conflictingClients = [];
 
   const processedCodes = new Set();
@@ -86,8 +183,58 @@ export const analyzeClients = asyncHandler(async (req, res) => {
   for (const client of validClients) {
     const { COD_CLIENT, IDENTIFTRI } = client;
 
+    if (deletedCodesInDB.has(COD_CLIENT)) {
+      conflictingClients.push({
+        ...client,
+        conflictReason: `El Cód. Cliente ${COD_CLIENT} pertenece a un cliente eliminado. Restáurelo antes de volver a cargarlo.`,
+      });
+      continue;
+    }
+
     if (existingCodesInDB.has(COD_CLIENT)) {
-      currentClients.push(client);
+      if (processedCodes.has(COD_CLIENT)) {
+        conflictingClients.push({
+          ...client,
+          conflictReason: `El Cód. Cliente ${COD_CLIENT} está duplicado dentro del archivo.`,
+        });
+        continue;
+      }
+
+      const changes =
+        mode === "upsert"
+          ? diffClient(existingCodesInDB.get(COD_CLIENT), client)
+          : {};
+
+      if (Object.keys(changes).length === 0) {
+        currentClients.push(client);
+        processedCodes.add(COD_CLIENT);
+        continue;
+      }
+
+      const cuitOwner = existingCuitsInDB.get(IDENTIFTRI);
+      if (changes.identiftri && cuitOwner && cuitOwner !== COD_CLIENT) {
+        conflictingClients.push({
+          ...client,
+          conflictReason: `El CUIT ${IDENTIFTRI} ya está en uso por otro cliente en la base de datos.`,
+        });
+        continue;
+      }
+
+      if (processedCuits.has(IDENTIFTRI)) {
+        conflictingClients.push({
+          ...client,
+          conflictReason: `El CUIT ${IDENTIFTRI} está duplicado dentro del archivo.`,
+        });
+        continue;
+      }
+
+      updatedClients.push({
+        id: existingCodesInDB.get(COD_CLIENT)._id.toString(),
+        ...client,
+        changes,
+      });
+      processedCodes.add(COD_CLIENT);
+      processedCuits.add(IDENTIFTRI);
       continue;
     }
 
@@ -120,97 +267,509 @@ export const analyzeClients = asyncHandler(async (req, res) => {
     processedCuits.add(IDENTIFTRI);
   }
 
+  // Los posibles duplicados siguen siendo nuevos; se informan para que el admin los revise.
+  const possibleDuplicates = await findPossibleDuplicates(newClients);
+
+  // El resultado queda guardado: la confirmación solo recibe el id y la selección.
+  // Se guarda aunque ninguna fila sea válida, para poder descargar el reporte de errores.
+  const { analysisId, expiresAt } = await saveAnalysis("clients", req.user, {
+    filename: req.body.filename,
+    mode,
+    data: { newClients, updatedClients, conflictingClients, invalidRows },
+  });
+
   res.status(200).json({
     message: "Análisis completado.",
+    analysisId,
+    expiresAt,
+    mode,
     summary: {
       totalReceived: rawClients.length,
       totalValid: validClients.length,
       totalInvalid: invalidRows.length,
       totalNew: newClients.length,
       totalCurrent: currentClients.length,
+      totalUpdated: updatedClients.length,
       totalConflicts: conflictingClients.length,
+      totalPossibleDuplicates: possibleDuplicates.length,
     },
     data: {
       newClients,
       currentClients,
+      updatedClients,
       conflictingClients,
+      possibleDuplicates,
       invalidRows,
     },
   });
 });
 
 /**
- * @desc    Carga los usuarios a MongoDB.
- * @route   POST /api/clients/make-migration
- * @access  Private
+ * Aplica a los clientes existentes solo los campos que el admin seleccionó.
+ * Usuario y contraseña no se tocan salvo que se pida `updateCredentials`: en ese caso,
+ * si cambia el CUIT, el usuario y la contraseña pasan a ser el nuevo CUIT.
+ * Si un campo cambió en la base después del análisis, ese cliente no se actualiza.
+ * @param {Object[]} updatedClients - Filas del análisis con `changes` y los `fields` seleccionados.
+ * @returns {Promise<{ updatedRecords: Object[], failedUpdates: Object[] }>}
  */
-export const confirmClientMigration = asyncHandler(async (req, res) => {
-  const { newClients } = req.body.data;
+const applyClientUpdates = async (updatedClients, { updateCredentials }) => {
+  const operations = [];
+
+  for (const row of updatedClients) {
+    const changes = row.changes || {};
+    const fields = (row.fields || Object.keys(changes)).filter(
+      (field) => field in UPSERT_FIELDS && field in changes
+    );
+    if (fields.length === 0) continue;
+
+    const values = Object.fromEntries(
+      fields.map((field) => [field, row[UPSERT_FIELDS[field]]])
+    );
+
+    if (updateCredentials && values.identiftri) {
+      values.username = values.identiftri;
+      values.password = await bcrypt.hash(values.identiftri, 10);
+      values.must_change_password = true;
+    }
 
-  if (!newClients || newClients.length === 0) {
-    handleError("No se recibieron clientes válidos para crear.", 400);
+    const expected = Object.fromEntries(
+      fields.map((field) => [field, changes[field].from])
+    );
+
+    operations.push({ cod_client: row.COD_CLIENT, values, expected });
+  }
+
+  if (operations.length === 0) {
+    return { updatedRecords: [], failedUpdates: [] };
   }
 
-  const clientsToCreate = newClients.map((client) => {
-    const hashedPassword = bcrypt.hashSync(String(client.IDENTIFTRI), 10);
-    return {
+  const previousClients = await Client.find({
+    cod_client: { $in: operations.map((op) => op.cod_client) },
+  })
+    .select("+password")
+    .lean();
+  const previousByCode = new Map(previousClients.map((c) => [c.cod_client, c]));
+
+  const applicable = [];
+  const failedUpdates = [];
+  for (const op of operations) {
+    const previous = previousByCode.get(op.cod_client);
+    if (!previous) {
+      failedUpdates.push({
+        COD_CLIENT: op.cod_client,
+        error: "El cliente ya no existe.",
+      });
+    } else if (
+      Object.entries(op.expected).some(
+        ([field, from]) => previous[field] !== from
+      )
+    ) {
+      failedUpdates.push({
+        COD_CLIENT: op.cod_client,
+        error: "El cliente fue modificado después del análisis.",
+      });
+    } else {
+      applicable.push(op);
+    }
+  }
+
+  const failedIndexes = new Set();
+  try {
+    await Client.bulkWrite(
+      applicable.map(({ cod_client, values }) => ({
+        updateOne: { filter: { cod_client }, update: { $set: values } },
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    for (const writeError of error.writeErrors) {
+      failedIndexes.add(writeError.index);
+      failedUpdates.push({
+        COD_CLIENT: applicable[writeError.index].cod_client,
+        error:
+          writeError.code === 11000
+            ? "El CUIT ya está en uso por otro cliente."
+            : writeError.errmsg,
+      });
+    }
+  }
+
+  const updatedRecords = applicable
+    .filter((op, index) => !failedIndexes.has(index))
+    .map(({ cod_client, values }) => {
+      const previous = previousByCode.get(cod_client);
+      return {
+        id: previous._id,
+        before: Object.fromEntries(
+          Object.keys(values).map((field) => [field, previous[field]])
+        ),
+        after: values,
+      };
+    });
+
+  if (updateCredentials) {
+    await Promise.all(
+      updatedRecords
+        .filter(({ before }) => "password" in before)
+        .map(({ id }) => revokeSubjectSessions("client", id))
+    );
+  }
+
+  return { updatedRecords, failedUpdates };
+};
+
+/**
+ * Filtra el análisis guardado según la selección del admin.
+ * Sin selección se confirman todos los clientes nuevos y todas las diferencias.
+ * De cada cliente actualizado solo se toman los campos que el análisis marcó como
+ * cambiados; si no queda ninguno, el cliente se descarta.
+ */
+const selectAnalyzedClients = ({ data }, selected) => {
+  if (!selected) return data;
+
+  const selectedCodes = new Set(selected.newClients);
+  const selectedUpdates = new Map(
+    selected.updatedClients.map((u) => [u.COD_CLIENT, u.fields])
+  );
+
+  return {
+    newClients: data.newClients.filter((c) => selectedCodes.has(c.COD_CLIENT)),
+    updatedClients: data.updatedClients
+      .filter((c) => selectedUpdates.has(c.COD_CLIENT))
+      .map((c) => ({
+        ...c,
+        fields: selectedUpdates
+          .get(c.COD_CLIENT)
+          .filter((field) => field in c.changes),
+      }))
+      .filter((c) => c.fields.length > 0),
+  };
+};
+
+/**
+ * Vuelve a verificar contra la base los clientes nuevos, por si alguien cargó
+ * el mismo código o CUIT entre el análisis y la confirmación.
+ * @returns {Promise<{ available: Object[], taken: Object[] }>}
+ */
+const recheckNewClients = async (newClients) => {
+  if (newClients.length === 0) return { available: [], taken: [] };
+
+  const clientsInDB = await Client.find({
+    $or: [
+      { cod_client: { $in: newClients.map((c) => c.COD_CLIENT) } },
+      { identiftri: { $in: newClients.map((c) => c.IDENTIFTRI) } },
+    ],
+  })
+    .setOptions({ withDeleted: true })
+    .lean();
+
+  const takenCodes = new Set(clientsInDB.map((c) => c.cod_client));
+  const takenCuits = new Set(clientsInDB.map((c) => c.identiftri));
+  const isTaken = (c) =>
+    takenCodes.has(c.COD_CLIENT) || takenCuits.has(c.IDENTIFTRI);
+
+  return {
+    available: newClients.filter((c) => !isTaken(c)),
+    taken: newClients.filter(isTaken),
+  };
+};
+
+/**
+ * Crea los clientes nuevos que siguen disponibles. Las contraseñas iniciales se
+ * hashean en paralelo y de forma asíncrona para no bloquear el proceso.
+ * @returns {Promise<{ createdIds: ObjectId[], duplicateClients: Object[] }>}
+ */
+const insertNewClients = async (newClients) => {
+  const { available, taken } = await recheckNewClients(newClients);
+
+  const clientsToCreate = await Promise.all(
+    available.map(async (client) => ({
       cod_client: client.COD_CLIENT,
       razon_soci: client.RAZON_SOCI,
       identiftri: client.IDENTIFTRI,
       username: String(client.IDENTIFTRI),
-      password: hashedPassword,
-    };
-  });
+      password: await bcrypt.hash(String(client.IDENTIFTRI), 10),
+    }))
+  );
 
-  let createdCount = 0;
-  let duplicateClients = [];
+  let createdIds = [];
+  let duplicateClients = taken.map(
+    ({ COD_CLIENT, IDENTIFTRI, RAZON_SOCI }) => ({
+      COD_CLIENT,
+      IDENTIFTRI,
+      RAZON_SOCI,
+    })
+  );
 
   try {
-    await Client.insertMany(clientsToCreate, { ordered: false });
-    createdCount = clientsToCreate.length;
+    const insertedDocs =
+      clientsToCreate.length > 0
+        ? await Client.insertMany(clientsToCreate, { ordered: false })
+        : [];
+    createdIds = insertedDocs.map((doc) => doc._id);
   } catch (error) {
     if (error.code === 11000 && error.writeErrors) {
-      createdCount = error.result.nInserted;
+      createdIds = error.insertedDocs.map((doc) => doc._id);
       const failedOperations = error.writeErrors
         .map((err) => err.op)
         .filter((op) => op);
-      duplicateClients = failedOperations.map((op) => ({
-        COD_CLIENT: op.cod_client,
-        IDENTIFTRI: op.identiftri,
-        RAZON_SOCI: op.razon_soci,
-      }));
+      duplicateClients = duplicateClients.concat(
+        failedOperations.map((op) => ({
+          COD_CLIENT: op.cod_client,
+          IDENTIFTRI: op.identiftri,
+          RAZON_SOCI: op.razon_soci,
+        }))
+      );
     } else {
       throw error;
     }
   }
 
-  const message = `Migración completada. Clientes nuevos creados: ${createdCount}. Clientes duplicados encontrados: ${duplicateClients.length}.`;
+  return { createdIds, duplicateClients };
+};
+
+/**
+ * Trabajo en segundo plano de POST /api/clients/make-migration.
+ * Procesa los clientes por bloques, informando el progreso y los errores por fila.
+ * Si se cancela, lo ya cargado queda registrado como migración para poder revertirlo.
+ * @param {{ user: Object, payload: Object }} job - El usuario y los clientes seleccionados.
+ * @param {Object} context - El contexto del trabajo, ver runJob en job.service.js.
+ */
+export const runClientMigration = async ({ user, payload }, context) => {
+  const { filename, newClients, updatedClients, updateCredentials } = payload;
+  await context.setTotal(newClients.length + updatedClients.length);
+
+  const createdIds = [];
+  const duplicateClients = [];
+  const updatedRecords = [];
+  const failedUpdates = [];
+
+  for (const rows of chunksOf(newClients)) {
+    if (await context.isCancelled()) break;
+
+    const result = await insertNewClients(rows);
+    createdIds.push(...result.createdIds);
+    duplicateClients.push(...result.duplicateClients);
+    await context.reportProgress(
+      rows.length,
+      result.duplicateClients.map((c) => ({
+        COD_CLIENT: c.COD_CLIENT,
+        error: "El código de cliente o el CUIT ya existen.",
+      }))
+    );
+  }
+
+  for (const rows of chunksOf(updatedClients)) {
+    if (await context.isCancelled()) break;
+
+    const result = await applyClientUpdates(rows, { updateCredentials });
+    updatedRecords.push(...result.updatedRecords);
+    failedUpdates.push(...result.failedUpdates);
+    await context.reportProgress(rows.length, result.failedUpdates);
+  }
+
+  const createdCount = createdIds.length;
+  const updatedCount = updatedRecords.length;
+
+  const batch = await recordMigrationBatch({
+    entity: "Client",
+    user,
+    filename,
+    summary: {
+      createdCount,
+      updatedCount,
+      duplicateCount: duplicateClients.length,
+      failedUpdateCount: failedUpdates.length,
+      updateCredentials,
+    },
+    created: createdIds,
+    updated: updatedRecords,
+  });
+
+  context.audit({
+    entity: "Client",
+    action: "migration",
+    targetId: batch._id,
+    after: { filename: batch.filename, ...batch.summary },
+  });
 
-  res.status(201).json({
-    message,
+  return {
+    message: `Migración completada. Clientes nuevos creados: ${createdCount}. Clientes actualizados: ${updatedCount}. Clientes duplicados encontrados: ${duplicateClients.length}.`,
     data: {
+      migrationId: batch._id.toString(),
       createdCount,
+      updatedCount,
       duplicateClients,
+      failedUpdates,
     },
+  };
+};
+
+/**
+ * @desc    Encola la carga a MongoDB de los clientes seleccionados de un análisis previo.
+ *          El progreso y el resultado se consultan en GET /api/jobs/:id.
+ * @route   POST /api/clients/make-migration
+ * @access  Private
+ */
+export const confirmClientMigration = asyncHandler(async (req, res) => {
+  const { analysisId, selected, updateCredentials } = req.joiBody;
+
+  const analysis = await getAnalysis("clients", analysisId, req.user);
+  const { newClients, updatedClients } = selectAnalyzedClients(
+    analysis,
+    selected
+  );
+
+  if (newClients.length === 0 && updatedClients.length === 0) {
+    throw new BadRequestError("MIGRATION_NOTHING_SELECTED");
+  }
+
+  // Recién ahora se marca como confirmado: una selección vacía no invalida el análisis.
+  await claimAnalysis("clients", analysisId);
+
+  const job = await enqueueJob(
+    "client-migration",
+    req.user,
+    {
+      filename: analysis.filename,
+      newClients,
+      updatedClients,
+      updateCredentials,
+    },
+    auditContextFromRequest(req)
+  );
+
+  res.status(202).json({
+    message: "Migración en proceso.",
+    jobId: job.id,
   });
 });
 
-/* convierte _id a id solo para consistencia */
-const transformClientDocument = (doc) => {
+/* convierte _id a id solo para consistencia y nunca expone la contraseña */
+const transformClientDocument = (doc, { formatCuit: withFormat } = {}) => {
   const plainObject = doc.toObject ? doc.toObject() : doc;
-  const { _id, __v, ...rest } = plainObject;
+  const { _id, __v, password, ...rest } = plainObject;
+  if (withFormat) rest.identiftri = formatCuit(rest.identiftri);
   return { id: _id.toString(), ...rest };
 };
 
+/* arma el filtro de Mongo a partir de la query ya validada */
+const buildClientFilter = ({
+  active,
+  must_change_password,
+  deleted,
+  search,
+}) => {
+  const filter = { deletedAt: deleted ? { $ne: null } : null };
+
+  if (active !== undefined) filter.active = active;
+  if (must_change_password !== undefined) {
+    filter.must_change_password = must_change_password;
+  }
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    filter.$or = [
+      { cod_client: pattern },
+      { razon_soci: pattern },
+      { identiftri: pattern },
+    ];
+  }
+
+  return filter;
+};
+
 /**
- * @desc    Obtener todos los clientes.
+ * @desc    Obtener los clientes paginados, con filtros, orden y búsqueda.
  * @route   GET /api/clients
  * @access  Private
  */
 export const getAllClients = asyncHandler(async (req, res) => {
-  const clients = await Client.find();
-  const items = clients.map((client) => transformClientDocument(client));
-  res.status(200).json({ items });
+  const { page, limit, sort, formatCuit } = req.joiQuery;
+  const filter = buildClientFilter(req.joiQuery);
+
+  const [clients, total] = await Promise.all([
+    Client.find(filter)
+      .sort({ ...parseSort(sort), _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Client.countDocuments(filter),
+  ]);
+
+  const items = clients.map((client) =>
+    transformClientDocument(client, { formatCuit })
+  );
+  res.status(200).json(buildPageResponse({ items, total, page, limit }));
+});
+
+/**
+ * @desc    Exportar los clientes a .xlsx o .csv con los encabezados que acepta la
+ *          migración, para poder editarlos y volver a importarlos. Acepta los filtros del listado.
+ * @route   GET /api/clients/export
+ * @access  Private
+ */
+export const exportClients = asyncHandler(async (req, res) => {
+  const { sort, formatCuit: withFormat, format } = req.joiQuery;
+  const filter = buildClientFilter(req.joiQuery);
+
+  // Las filas se leen con un cursor para no cargar todos los clientes en memoria.
+  const rows = Client.find(filter, "cod_client identiftri razon_soci")
+    .sort({ ...parseSort(sort, { cod_client: 1 }), _id: 1 })
+    .lean()
+    .cursor()
+    .map((client) => ({
+      COD_CLIENT: client.cod_client,
+      IDENTIFTRI: withFormat
+        ? formatCuit(client.identiftri)
+        : client.identiftri,
+      RAZON_SOCI: client.razon_soci,
+    }));
+
+  await sendSpreadsheet(res, {
+    rows,
+    headers: Object.keys(CLIENT_FILE_HEADERS),
+    format,
+    filename: "clientes",
+  });
+});
+
+/**
+ * @desc    Descargar las filas inválidas y conflictivas de un análisis, con el motivo
+ *          en la columna ERROR, para corregirlas y volver a importarlas. Sigue
+ *          disponible después de confirmar la migración, hasta que el análisis expira.
+ * @route   GET /api/clients/analyze/:analysisId/report
+ * @access  Private
+ */
+export const getClientAnalysisReport = asyncHandler(async (req, res) => {
+  const { data } = await getAnalysis(
+    "clients",
+    req.params.analysisId,
+    req.user
+  );
+
+  const toRow = (client, error) => ({
+    COD_CLIENT: client.COD_CLIENT ?? "",
+    IDENTIFTRI: client.IDENTIFTRI ?? "",
+    RAZON_SOCI: client.RAZON_SOCI ?? "",
+    ERROR: error,
+  });
+
+  const rows = [
+    ...data.invalidRows.map(({ data: row, errors }) =>
+      toRow(row, errors.join("; "))
+    ),
+    ...data.conflictingClients.map((client) =>
+      toRow(client, client.conflictReason)
+    ),
+  ];
+
+  await sendSpreadsheet(res, {
+    rows,
+    headers: [...Object.keys(CLIENT_FILE_HEADERS), "ERROR"],
+    format: req.joiQuery.format,
+    filename: "clientes-errores",
+  });
 });
 
 /**
@@ -221,9 +780,9 @@ export const getAllClients = asyncHandler(async (req, res) => {
 export const getClientById = asyncHandler(async (req, res) => {
   const client = await Client.findById(req.params.id);
   if (!client) {
-    handleError("Cliente no encontrado.", 404);
+    throw new NotFoundError("CLIENT_NOT_FOUND");
   }
-  res.status(200).json(transformClientDocument(client));
+  res.status(200).json(transformClientDocument(client, req.joiQuery));
 });
 
 /**
@@ -233,28 +792,33 @@ export const getClientById = asyncHandler(async (req, res) => {
  */
 export const createNewClient = asyncHandler(async (req, res) => {
   const { cod_client, razon_soci, identiftri, username, password, active } =
-    req.body;
+    req.joiBody;
 
   const finalUsername = username || String(identiftri);
   const passwordToHash = password || String(identiftri);
-  const hashedPassword = bcrypt.hashSync(passwordToHash, 10);
+  const hashedPassword = await bcrypt.hash(passwordToHash, 10);
 
   const duplicate = await Client.findOne({
     $or: [{ cod_client }, { identiftri }, { username: finalUsername }],
-  }).lean();
+  })
+    .setOptions({ withDeleted: true })
+    .lean();
 
   if (duplicate) {
     if (duplicate.cod_client === cod_client) {
-      handleError(`Ya existe un cliente con el código '${cod_client}'.`, 409);
+      throw new ConflictError("CLIENT_DUPLICATE_CODE", {
+        params: { cod_client },
+      });
     }
     if (duplicate.identiftri === identiftri) {
-      handleError(`Ya existe un cliente con el CUIT '${identiftri}'.`, 409);
+      throw new ConflictError("CLIENT_DUPLICATE_CUIT", {
+        params: { identiftri },
+      });
     }
     if (duplicate.username === finalUsername) {
-      handleError(
-        `El nombre de usuario '${finalUsername}' ya está en uso.`,
-        409
-      );
+      throw new ConflictError("CLIENT_DUPLICATE_USERNAME", {
+        params: { username: finalUsername },
+      });
     }
   }
 
@@ -268,6 +832,14 @@ export const createNewClient = asyncHandler(async (req, res) => {
   });
 
   const savedClient = await newClient.save();
+
+  req.audit({
+    entity: "Client",
+    action: "create",
+    targetId: savedClient._id,
+    after: savedClient,
+  });
+
   res.status(201).json(transformClientDocument(savedClient));
 });
 
@@ -278,43 +850,194 @@ export const createNewClient = asyncHandler(async (req, res) => {
  */
 export const updateClientById = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { cod_client, identiftri, username, password } = req.body;
+  const { cod_client, identiftri, username, password } = req.joiBody;
 
   const duplicate = await Client.findOne({
     $or: [{ cod_client }, { identiftri }, { username }],
     _id: { $ne: id },
-  }).lean();
+  })
+    .setOptions({ withDeleted: true })
+    .lean();
 
   if (duplicate) {
     if (duplicate.cod_client && duplicate.cod_client === cod_client) {
-      handleError(
-        `El código '${cod_client}' ya pertenece a otro cliente.`,
-        409
-      );
+      throw new ConflictError("CLIENT_DUPLICATE_CODE", {
+        params: { cod_client },
+      });
     }
     if (duplicate.identiftri && duplicate.identiftri === identiftri) {
-      handleError(`El CUIT '${identiftri}' ya pertenece a otro cliente.`, 409);
+      throw new ConflictError("CLIENT_DUPLICATE_CUIT", {
+        params: { identiftri },
+      });
     }
     if (duplicate.username && duplicate.username === username) {
-      handleError(`El nombre de usuario '${username}' ya está en uso.`, 409);
+      throw new ConflictError("CLIENT_DUPLICATE_USERNAME", {
+        params: { username },
+      });
     }
   }
 
-  const updateData = req.body;
+  const updateData = { ...req.joiBody };
 
   if (password) {
-    updateData.password = bcrypt.hashSync(password, 10);
+    updateData.password = await bcrypt.hash(password, 10);
   } else {
     delete updateData.password;
   }
 
+  const previousClient = await Client.findById(id).select("+password").lean();
+
+  if (!previousClient) {
+    throw new NotFoundError("CLIENT_NOT_FOUND");
+  }
+
   const updatedClient = await Client.findByIdAndUpdate(id, updateData, {
     new: true,
-  });
+  }).select("+password");
 
   if (!updatedClient) {
-    handleError("Cliente no encontrado para actualizar.", 404);
+    throw new NotFoundError("CLIENT_NOT_FOUND");
+  }
+
+  req.audit({
+    entity: "Client",
+    action: "update",
+    targetId: id,
+    before: previousClient,
+    after: updatedClient,
+  });
+
+  if (updateData.active === false || updateData.password) {
+    await revokeSubjectSessions("client", id);
   }
 
   res.status(200).json(transformClientDocument(updatedClient));
 });
+
+/**
+ * @desc    Eliminar (borrado lógico) un cliente. Queda inactivo y se cierran sus sesiones.
+ * @route   DELETE /api/clients/:id
+ * @access  Private
+ */
+export const deleteClientById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const changes = { deletedAt: new Date(), active: false };
+  const previousClient = await Client.findByIdAndUpdate(id, changes).lean();
+
+  if (!previousClient) {
+    throw new NotFoundError("CLIENT_NOT_FOUND");
+  }
+
+  const deletedClient = { ...previousClient, ...changes };
+
+  req.audit({
+    entity: "Client",
+    action: "delete",
+    targetId: id,
+    before: previousClient,
+    after: deletedClient,
+  });
+
+  await revokeSubjectSessions("client", id);
+
+  res.status(200).json(transformClientDocument(deletedClient));
+});
+
+/**
+ * @desc    Restaurar un cliente eliminado. Se restaura inactivo.
+ * @route   POST /api/clients/:id/restore
+ * @access  Private
+ */
+export const restoreClientById = asyncHandler(async (req, res) => {
+  const previousClient = await Client.findOneAndUpdate(
+    { _id: req.params.id, deletedAt: { $ne: null } },
+    { deletedAt: null }
+  ).lean();
+
+  if (!previousClient) {
+    throw new NotFoundError("CLIENT_NOT_FOUND");
+  }
+
+  const restoredClient = { ...previousClient, deletedAt: null };
+
+  req.audit({
+    entity: "Client",
+    action: "restore",
+    targetId: req.params.id,
+    before: previousClient,
+    after: restoredClient,
+  });
+
+  res.status(200).json(transformClientDocument(restoredClient));
+});
+
+/* cambios que aplica cada acción masiva */
+const BULK_ACTIONS = {
+  activate: () => ({ active: true }),
+  deactivate: () => ({ active: false }),
+  delete: () => ({ active: false, deletedAt: new Date() }),
+};
+
+/**
+ * @desc    Activar, desactivar o eliminar varios clientes en una única transacción.
+ * @route   POST /api/clients/bulk
+ * @access  Private
+ */
+export const bulkUpdateClients = asyncHandler(async (req, res) => {
+  const { action, ids, codes } = req.joiBody;
+  const update = BULK_ACTIONS[action]();
+
+  const selector = {
+    $or: [{ _id: { $in: ids } }, { cod_client: { $in: codes } }],
+  };
+
+  const affectedClients = await mongoose.connection.transaction(
+    async (session) => {
+      const clients = await Client.find(
+        selector,
+        "_id cod_client active deletedAt",
+        { session }
+      ).lean();
+
+      await Client.updateMany(
+        { _id: { $in: clients.map((c) => c._id) } },
+        update,
+        { session }
+      );
+
+      return clients;
+    }
+  );
+
+  const foundIds = new Set(affectedClients.map((c) => c._id.toString()));
+  const foundCodes = new Set(affectedClients.map((c) => c.cod_client));
+  const notFound = [
+    ...ids.filter((id) => !foundIds.has(id)),
+    ...codes.filter((code) => !foundCodes.has(code)),
+  ];
+
+  for (const client of affectedClients) {
+    req.audit({
+      entity: "Client",
+      action: action === "delete" ? "delete" : "update",
+      targetId: client._id,
+      before: client,
+      after: { ...client, ...update },
+    });
+  }
+
+  if (action !== "activate") {
+    await Promise.all(
+      affectedClients.map((c) => revokeSubjectSessions("client", c._id))
+    );
+  }
+
+  res.status(200).json({
+    message: `Acción '${action}' aplicada a ${affectedClients.length} clientes.`,
+    data: {
+      affectedCount: affectedClients.length,
+      notFound,
+    },
+  });
+});
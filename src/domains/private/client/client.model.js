@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import softDeletePlugin from "../../../util/softDeletePlugin.js";
 
 const clientSchema = new mongoose.Schema(
   {
@@ -6,7 +7,7 @@ const clientSchema = new mongoose.Schema(
     razon_soci: { type: String, required: true },
     identiftri: { type: String, required: true, unique: true },
     username: { type: String, required: true },
-    password: { type: String, required: true },
+    password: { type: String, required: true, select: false },
     active: { type: Boolean, default: false },
     must_change_password: { type: Boolean, default: true },
   },
@@ -15,6 +16,8 @@ const clientSchema = new mongoose.Schema(
   }
 );
 
+clientSchema.plugin(softDeletePlugin);
+
 const Client = mongoose.model("Client", clientSchema);
 
 export default Client;
@@ -1,30 +1,95 @@
 import express from "express";
 import {
   analyzeClients,
+  bulkUpdateClients,
   confirmClientMigration,
   createNewClient,
+  deleteClientById,
+  exportClients,
+  getClientAnalysisReport,
   getAllClients,
   getClientById,
+  restoreClientById,
   updateClientById,
 } from "./client.controller.js";
 
-import { validateReqBody } from "../../../interface/middleware/joi.middleware.js";
+import {
+  validateReqBody,
+  validateReqQuery,
+} from "../../../interface/middleware/joi.middleware.js";
+import { authorize } from "../../../interface/middleware/auth.middleware.js";
+import { EDITOR_ROLES } from "../../../config/roles.js";
+import {
+  parseSpreadsheetRows,
+  uploadSpreadsheet,
+} from "../../../interface/middleware/upload.middleware.js";
+import { CLIENT_FILE_HEADERS } from "../../../config/fileHeaders.js";
 
-import { createClientSchema, updateClientSchema } from "./client.validation.js";
+import {
+  analysisReportQuerySchema,
+  bulkClientsSchema,
+  clientViewQuerySchema,
+  confirmClientMigrationSchema,
+  createClientSchema,
+  exportClientsQuerySchema,
+  listClientsQuerySchema,
+  updateClientSchema,
+} from "./client.validation.js";
 
 const router = express.Router();
 
 router
   .route("/")
-  .get(getAllClients)
-  .post(validateReqBody(createClientSchema), createNewClient);
+  .get(validateReqQuery(listClientsQuerySchema), getAllClients)
+  .post(
+    authorize(EDITOR_ROLES),
+    validateReqBody(createClientSchema),
+    createNewClient
+  );
+
+// Antes de "/:id" para que "export" y "analyze" no se tomen como un ID.
+router.get(
+  "/export",
+  validateReqQuery(exportClientsQuerySchema),
+  exportClients
+);
+router.get(
+  "/analyze/:analysisId/report",
+  authorize(EDITOR_ROLES),
+  validateReqQuery(analysisReportQuerySchema),
+  getClientAnalysisReport
+);
 
 router
   .route("/:id")
-  .get(getClientById)
-  .put(validateReqBody(updateClientSchema), updateClientById);
+  .get(validateReqQuery(clientViewQuerySchema), getClientById)
+  .put(
+    authorize(EDITOR_ROLES),
+    validateReqBody(updateClientSchema),
+    updateClientById
+  )
+  .delete(authorize(EDITOR_ROLES), deleteClientById);
+
+router.post("/:id/restore", authorize(EDITOR_ROLES), restoreClientById);
+router.post(
+  "/bulk",
+  authorize(EDITOR_ROLES),
+  validateReqBody(bulkClientsSchema),
+  bulkUpdateClients
+);
 
-router.post("/analyze", analyzeClients);
-router.post("/make-migration", confirmClientMigration);
+router.post(
+  "/analyze",
+  authorize(EDITOR_ROLES),
+  uploadSpreadsheet,
+  parseSpreadsheetRows("clients", CLIENT_FILE_HEADERS),
+  analyzeClients
+);
+router.post(
+  "/make-migration",
+  authorize(EDITOR_ROLES),
+  validateReqBody(confirmClientMigrationSchema),
+  confirmClientMigration
+);
 
 export default router;
@@ -1,4 +1,19 @@
 import Joi from "joi";
+import { EXPORT_FORMATS } from "../../../util/spreadsheetWriter.js";
+import { paginationQuery, sortQuery } from "../../../util/pagination.js";
+import { validateCuit } from "../../../util/cuit.js";
+
+/**
+ * Normaliza el CUIT a sus 11 dígitos y valida prefijo y dígito verificador.
+ * Si no es válido, el mensaje de error indica el motivo.
+ */
+const cuitValidator = (value, helpers) => {
+  const { valid, cuit, reason } = validateCuit(value);
+  if (!valid) {
+    return helpers.message({ custom: reason });
+  }
+  return cuit;
+};
 
 /**
  * Schema para validar los datos provenientes del archivo de carga masiva.
@@ -30,18 +45,7 @@ export const clientObjectSchema = Joi.object({
   IDENTIFTRI: Joi.string()
     .trim()
     .required()
-    .custom((value, helpers) => {
-      const soloNumeros = String(value).replace(/\D/g, "");
-
-      if (soloNumeros.length !== 11) {
-        return helpers.error("any.invalid", {
-          message:
-            'El "Identificador Fiscal" (CUIT) debe contener exactamente 11 dígitos numéricos.',
-        });
-      }
-
-      return soloNumeros;
-    }, "Limpieza y Validación de CUIT")
+    .custom(cuitValidator, "Limpieza y Validación de CUIT")
     .messages({
       "any.required": 'El "Identificador Fiscal" es un campo requerido.',
     }),
@@ -76,11 +80,11 @@ export const createClientSchema = Joi.object({
   }),
 
   identiftri: Joi.string()
-    .pattern(/^[0-9]{11}$/)
+    .trim()
+    .custom(cuitValidator, "Validación de CUIT")
     .required()
     .messages({
       "string.base": `"CUIT" debe ser un string.`,
-      "string.pattern.base": `"CUIT" debe contener exactamente 11 dígitos numéricos.`,
       "any.required": `"CUIT" es un campo obligatorio.`,
     }),
 
@@ -102,11 +106,7 @@ export const updateClientSchema = Joi.object({
 
   razon_soci: Joi.string().uppercase(),
 
-  identiftri: Joi.string()
-    .pattern(/^[0-9]{11}$/)
-    .messages({
-      "string.pattern.base": `"CUIT" debe contener exactamente 11 dígitos numéricos.`,
-    }),
+  identiftri: Joi.string().trim().custom(cuitValidator, "Validación de CUIT"),
 
   username: Joi.string().allow(""),
   password: Joi.string().allow(""),
@@ -116,3 +116,105 @@ export const updateClientSchema = Joi.object({
   .messages({
     "object.min": "Debe proporcionar al menos un campo para actualizar.",
   });
+
+/**
+ * Schema para los filtros del listado de clientes.
+ */
+export const listClientsQuerySchema = Joi.object({
+  ...paginationQuery,
+  sort: sortQuery([
+    "cod_client",
+    "razon_soci",
+    "identiftri",
+    "active",
+    "createdAt",
+    "updatedAt",
+  ]),
+  active: Joi.boolean(),
+  must_change_password: Joi.boolean(),
+  deleted: Joi.boolean().default(false),
+  search: Joi.string().trim().max(100).allow(""),
+  formatCuit: Joi.boolean().default(false),
+});
+
+const exportFormat = Joi.string()
+  .valid(...EXPORT_FORMATS)
+  .default("xlsx")
+  .messages({
+    "any.only": `"format" debe ser uno de: ${EXPORT_FORMATS.join(", ")}.`,
+  });
+
+/**
+ * Schema para exportar clientes: los mismos filtros del listado, sin paginación.
+ */
+export const exportClientsQuerySchema = listClientsQuerySchema
+  .fork(["page", "limit"], (schema) => schema.strip())
+  .keys({ format: exportFormat });
+
+/**
+ * Schema para descargar el informe de errores de un análisis.
+ */
+export const analysisReportQuerySchema = Joi.object({
+  format: exportFormat,
+});
+
+/**
+ * Schema para las opciones de presentación de un cliente.
+ */
+export const clientViewQuerySchema = Joi.object({
+  formatCuit: Joi.boolean().default(false),
+});
+
+/**
+ * Schema para las acciones masivas sobre clientes.
+ * Los clientes se identifican por ID y/o por Cód. Cliente.
+ */
+export const bulkClientsSchema = Joi.object({
+  action: Joi.string()
+    .valid("activate", "deactivate", "delete")
+    .required()
+    .messages({
+      "any.only": `"action" debe ser uno de: activate, deactivate, delete.`,
+      "any.required": `"action" es un campo obligatorio.`,
+    }),
+  ids: Joi.array().items(Joi.string().hex().length(24)).max(1000).default([]),
+  codes: Joi.array()
+    .items(Joi.string().trim().uppercase())
+    .max(1000)
+    .default([]),
+})
+  .custom((value, helpers) => {
+    if (value.ids.length === 0 && value.codes.length === 0) {
+      return helpers.error("any.invalid");
+    }
+    return value;
+  })
+  .messages({
+    "any.invalid": "Debe indicar al menos un ID o Cód. Cliente.",
+  });
+
+/**
+ * Schema para confirmar una migración de clientes ya analizada.
+ * Sin `selected` se confirman todos los clientes nuevos y todas las diferencias.
+ */
+export const confirmClientMigrationSchema = Joi.object({
+  analysisId: Joi.string().guid().required().messages({
+    "any.required": `"analysisId" es un campo obligatorio.`,
+    "string.guid": `"analysisId" no es válido.`,
+  }),
+  selected: Joi.object({
+    newClients: Joi.array().items(Joi.string().trim()).default([]),
+    updatedClients: Joi.array()
+      .items(
+        Joi.object({
+          COD_CLIENT: Joi.string().trim().required(),
+          fields: Joi.array()
+            .items(Joi.string().valid("razon_soci", "identiftri"))
+            .min(1)
+            .required(),
+        })
+      )
+      .default([]),
+  }),
+  updateCredentials: Joi.boolean().default(false),
+});
@@ -0,0 +1,301 @@
+import path from "path";
+import mongoose from "mongoose";
+import AdmZip from "adm-zip";
+import asyncHandler from "express-async-handler";
+import { Product } from "../product/product.model.js";
+import {
+  findProductImage,
+  readBucketFile,
+  saveProductImage,
+  storeImportZip,
+} from "./image.service.js";
+import { auditContextFromRequest } from "../audit/audit.service.js";
+import { chunksOf, enqueueJob } from "../job/job.service.js";
+import { getImageBucket } from "../../../interface/middleware/bucket.middleware.js";
+import { BadRequestError, NotFoundError } from "../../../util/errorHandler.js";
+import { IMAGE_MAX_FILE_SIZE_MB } from "../../../interface/middleware/upload.middleware.js";
+
+const IMAGE_CACHE_MAX_AGE =
+  Number(process.env.IMAGE_CACHE_MAX_AGE_SECONDS) || 24 * 60 * 60;
+
+const ZIP_IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp"];
+
+const imageUrlFor = (code) => `/api/products/${encodeURIComponent(code)}/image`;
+
+/**
+ * @desc    Subir o reemplazar la imagen de un producto. Se generan sus miniaturas.
+ * @route   PUT /api/products/:code/image
+ * @access  Private
+ */
+export const uploadProductImage = asyncHandler(async (req, res) => {
+  const { code } = req.params;
+
+  if (!req.file) {
+    throw new BadRequestError("FILE_MISSING", { params: { field: "image" } });
+  }
+
+  const product = await Product.findOne({ code });
+  if (!product) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND", { params: { code } });
+  }
+
+  const variants = await saveProductImage(req.bucket, code, req.file.buffer);
+
+  const previousImageUrl = product.imageUrl ?? null;
+  product.imageUrl = imageUrlFor(code);
+  await product.save();
+
+  req.audit({
+    entity: "Product",
+    action: "image_upload",
+    targetId: product._id,
+    diff: {
+      image: { from: previousImageUrl, to: req.file.originalname },
+    },
+  });
+
+  res.status(200).json({
+    message: "Imagen guardada correctamente.",
+    imageUrl: product.imageUrl,
+    variants,
+  });
+});
+
+/**
+ * @desc    Obtener la imagen de un producto o una de sus miniaturas (?size=thumb|medium).
+ *          Responde 304 si el navegador ya tiene la misma versión (If-None-Match).
+ * @route   GET /api/products/:code/image
+ * @access  Private
+ */
+export const getProductImage = asyncHandler(async (req, res, next) => {
+  const file = await findProductImage(
+    req.bucket,
+    req.params.code,
+    req.joiQuery.size
+  );
+  if (!file) {
+    throw new NotFoundError("IMAGE_NOT_FOUND");
+  }
+
+  const { etag, contentType } = file.metadata;
+  res.set({
+    ETag: etag,
+    "Cache-Control": `private, max-age=${IMAGE_CACHE_MAX_AGE}`,
+    "Last-Modified": file.uploadDate.toUTCString(),
+  });
+
+  if (req.get("If-None-Match") === etag) {
+    return res.status(304).end();
+  }
+
+  res.set({ "Content-Type": contentType, "Content-Length": file.length });
+
+  req.bucket
+    .openDownloadStream(file._id)
+    .on("error", (error) => {
+      if (res.headersSent) return res.destroy(error);
+      next(error);
+    })
+    .pipe(res);
+});
+
+/* límites del contenido de un .zip de imágenes, para no descomprimir una bomba */
+const ZIP_MAX_ENTRIES = Number(process.env.IMAGE_ZIP_MAX_ENTRIES) || 5000;
+const ZIP_MAX_TOTAL_MB = Number(process.env.IMAGE_ZIP_MAX_TOTAL_MB) || 1024;
+
+/**
+ * Lee las entradas de un .zip de imágenes. Se rechaza si tiene demasiados archivos
+ * o si lo que declara descomprimido supera el límite total.
+ */
+const readZipEntries = (buffer) => {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new BadRequestError("ZIP_INVALID");
+  }
+
+  if (entries.length > ZIP_MAX_ENTRIES) {
+    throw new BadRequestError("ZIP_TOO_MANY_ENTRIES", {
+      params: { max: ZIP_MAX_ENTRIES },
+    });
+  }
+  const declaredSize = entries.reduce(
+    (sum, entry) => sum + entry.header.size,
+    0
+  );
+  if (declaredSize > ZIP_MAX_TOTAL_MB * 1024 * 1024) {
+    throw new BadRequestError("ZIP_TOO_LARGE", {
+      params: { max: ZIP_MAX_TOTAL_MB },
+    });
+  }
+
+  // Se ignoran las carpetas y los archivos ocultos que agregan macOS y Windows.
+  return entries.filter(
+    (entry) =>
+      !entry.isDirectory &&
+      !entry.entryName.startsWith("__MACOSX/") &&
+      !path.basename(entry.entryName).startsWith(".")
+  );
+};
+
+const codeOf = (entry) =>
+  path.basename(entry.entryName, path.extname(entry.entryName)).trim();
+
+/**
+ * Trabajo en segundo plano de POST /api/products/images/import.
+ * Guarda las imágenes del .zip por bloques, informando el progreso y los errores
+ * por archivo. Cada imagen se descomprime de a una y se controla su tamaño real,
+ * no solo el que declara el .zip. Al terminar borra el .zip del bucket.
+ * @param {{ user: Object, payload: Object }} job - El usuario y el .zip guardado.
+ * @param {Object} context - El contexto del trabajo, ver runJob en job.service.js.
+ */
+export const runImageImport = async ({ payload }, context) => {
+  const { fileId, filename } = payload;
+  const bucket = getImageBucket();
+  const zipId = new mongoose.Types.ObjectId(fileId);
+
+  try {
+    const files = readZipEntries(await readBucketFile(bucket, zipId));
+    await context.setTotal(files.length);
+
+    const products = await Product.find(
+      { code: { $in: files.map(codeOf) } },
+      "_id code"
+    ).lean();
+    const productsByCode = new Map(products.map((p) => [p.code, p]));
+
+    const maxImageBytes = IMAGE_MAX_FILE_SIZE_MB * 1024 * 1024;
+    const imported = [];
+    const errors = [];
+    const seenCodes = new Set();
+    let totalBytes = 0;
+    let limitReached = false;
+
+    for (const chunk of chunksOf(files)) {
+      if (limitReached || (await context.isCancelled())) break;
+
+      const chunkErrors = [];
+      const chunkImported = [];
+      for (const entry of chunk) {
+        const code = codeOf(entry);
+        const extension = path.extname(entry.entryName).toLowerCase();
+
+        try {
+          if (!ZIP_IMAGE_EXTENSIONS.includes(extension)) {
+            throw new Error(
+              "Formato de imagen no soportado. Se aceptan: JPEG, PNG, WebP."
+            );
+          }
+          if (!productsByCode.has(code)) {
+            throw new Error(`No existe un producto con el código ${code}.`);
+          }
+          if (seenCodes.has(code)) {
+            throw new Error(`Hay más de una imagen para el código ${code}.`);
+          }
+          if (entry.header.size > maxImageBytes) {
+            throw new Error(
+              `La imagen supera los ${IMAGE_MAX_FILE_SIZE_MB} MB.`
+            );
+          }
+
+          // adm-zip no descomprime más de lo declarado; igual se controla lo obtenido.
+          const data = entry.getData();
+          totalBytes += data.length;
+          if (totalBytes > ZIP_MAX_TOTAL_MB * 1024 * 1024) {
+            // Lo que queda del .zip no se descomprime.
+            limitReached = true;
+            throw new BadRequestError("ZIP_TOO_LARGE", {
+              params: { max: ZIP_MAX_TOTAL_MB },
+            });
+          }
+          if (data.length > maxImageBytes) {
+            throw new Error(
+              `La imagen supera los ${IMAGE_MAX_FILE_SIZE_MB} MB.`
+            );
+          }
+
+          seenCodes.add(code);
+          await saveProductImage(bucket, code, data);
+          chunkImported.push(code);
+        } catch (error) {
+          chunkErrors.push({ filename: entry.entryName, error: error.message });
+        }
+        if (limitReached) break;
+      }
+
+      if (chunkImported.length > 0) {
+        await Product.bulkWrite(
+          chunkImported.map((code) => ({
+            updateOne: {
+              filter: { code },
+              update: { $set: { imageUrl: imageUrlFor(code) } },
+            },
+          }))
+        );
+      }
+
+      imported.push(...chunkImported);
+      errors.push(...chunkErrors);
+      await context.reportProgress(
+        chunk.length,
+        chunkErrors.map(({ filename: file, error }) => ({ file, error }))
+      );
+    }
+
+    if (imported.length > 0) {
+      context.audit({
+        entity: "Product",
+        action: "image_import",
+        after: { filename, imported: imported.length },
+      });
+    }
+
+    return {
+      message: `Importación de imágenes completada. Imágenes guardadas: ${imported.length}. Con errores: ${errors.length}.`,
+      summary: {
+        totalFiles: files.length,
+        imported: imported.length,
+        withErrors: errors.length,
+      },
+      imported,
+      errors,
+    };
+  } finally {
+    await bucket.delete(zipId).catch(() => {});
+  }
+};
+
+/**
+ * @desc    Importar imágenes en masa desde un .zip cuyos archivos se llaman
+ *          como el código del producto (ej: 12345.jpg). El .zip se valida y se
+ *          procesa en segundo plano; el progreso y el resultado se consultan en GET /api/jobs/:id.
+ * @route   POST /api/products/images/import
+ * @access  Private
+ */
+export const importProductImages = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError("FILE_MISSING", { params: { field: "file" } });
+  }
+
+  // Se rechaza enseguida un .zip dañado o demasiado grande, antes de encolarlo.
+  readZipEntries(req.file.buffer);
+
+  const fileId = await storeImportZip(
+    req.bucket,
+    req.file.originalname,
+    req.file.buffer
+  );
+
+  const job = await enqueueJob(
+    "image-import",
+    req.user,
+    { fileId: fileId.toString(), filename: req.file.originalname },
+    auditContextFromRequest(req)
+  );
+
+  res.status(202).json({
+    message: "Importación de imágenes en proceso.",
+    jobId: job.id,
+  });
+});
@@ -0,0 +1,123 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { BadRequestError } from "../../../util/errorHandler.js";
+
+/* ancho y alto máximos, en píxeles, de cada miniatura; "original" es la imagen subida */
+export const THUMBNAIL_SIZES = { medium: 600, thumb: 150 };
+
+export const IMAGE_VARIANTS = ["original", ...Object.keys(THUMBNAIL_SIZES)];
+
+const FORMAT_MIME_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+/**
+ * Verifica el formato real de la imagen y arma sus variantes.
+ * Las miniaturas se guardan en WebP, respetando la orientación EXIF.
+ */
+const buildVariants = async (buffer) => {
+  let format;
+  try {
+    ({ format } = await sharp(buffer).metadata());
+  } catch (error) {
+    throw new BadRequestError("IMAGE_INVALID");
+  }
+
+  if (!FORMAT_MIME_TYPES[format]) {
+    throw new BadRequestError("UNSUPPORTED_FILE_FORMAT", {
+      params: { formats: "JPEG, PNG, WebP" },
+    });
+  }
+
+  const variants = [
+    { variant: "original", buffer, contentType: FORMAT_MIME_TYPES[format] },
+  ];
+  for (const [variant, size] of Object.entries(THUMBNAIL_SIZES)) {
+    variants.push({
+      variant,
+      contentType: "image/webp",
+      buffer: await sharp(buffer)
+        .rotate()
+        .resize({
+          width: size,
+          height: size,
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp({ quality: 80 })
+        .toBuffer(),
+    });
+  }
+  return variants;
+};
+
+const uploadBuffer = (bucket, filename, buffer, metadata) =>
+  new Promise((resolve, reject) => {
+    const stream = bucket.openUploadStream(filename, { metadata });
+    stream.on("error", reject);
+    stream.on("finish", () => resolve(stream.id));
+    stream.end(buffer);
+  });
+
+/**
+ * Guarda la imagen de un producto y sus miniaturas, reemplazando las anteriores.
+ * Las nuevas se suben antes de borrar las viejas, así nunca queda sin imagen.
+ * @param {GridFSBucket} bucket - El bucket de imágenes (req.bucket).
+ * @param {string} code - El código del producto.
+ * @param {Buffer} buffer - La imagen subida.
+ * @returns {Promise<string[]>} Las variantes guardadas.
+ */
+export const saveProductImage = async (bucket, code, buffer) => {
+  const variants = await buildVariants(buffer);
+  const previousFiles = await bucket.find({ "metadata.code": code }).toArray();
+
+  for (const { variant, buffer: data, contentType } of variants) {
+    const etag = crypto.createHash("sha1").update(data).digest("hex");
+    await uploadBuffer(bucket, `${code}/${variant}`, data, {
+      code,
+      variant,
+      contentType,
+      etag: `"${etag}"`,
+    });
+  }
+
+  await Promise.all(previousFiles.map((file) => bucket.delete(file._id)));
+  return variants.map(({ variant }) => variant);
+};
+
+/**
+ * Guarda en el bucket el .zip de una importación de imágenes, para que lo procese
+ * el trabajo en segundo plano.
+ * @returns {Promise<ObjectId>} El id del archivo.
+ */
+export const storeImportZip = (bucket, filename, buffer) =>
+  uploadBuffer(bucket, `imports/${filename}`, buffer, { kind: "image-import" });
+
+/**
+ * Lee completo un archivo del bucket.
+ * @returns {Promise<Buffer>}
+ */
+export const readBucketFile = (bucket, id) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    bucket
+      .openDownloadStream(id)
+      .on("data", (chunk) => chunks.push(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(Buffer.concat(chunks)));
+  });
+
+/**
+ * Busca la última versión de una variante de la imagen de un producto.
+ * @returns {Promise<Object|null>} El archivo de GridFS, con `metadata.contentType` y `metadata.etag`.
+ */
+export const findProductImage = async (bucket, code, variant) => {
+  const [file] = await bucket
+    .find({ "metadata.code": code, "metadata.variant": variant })
+    .sort({ uploadDate: -1 })
+    .limit(1)
+    .toArray();
+  return file || null;
+};
@@ -0,0 +1,14 @@
+import Joi from "joi";
+import { IMAGE_VARIANTS } from "./image.service.js";
+
+/**
+ * Schema para elegir la variante de la imagen de un producto.
+ */
+export const imageQuerySchema = Joi.object({
+  size: Joi.string()
+    .valid(...IMAGE_VARIANTS)
+    .default("original")
+    .messages({
+      "any.only": `"size" debe ser uno de: ${IMAGE_VARIANTS.join(", ")}.`,
+    }),
+});
@@ -0,0 +1,640 @@
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { StockLevel, StockMovement, Warehouse } from "./inventory.model.js";
+import {
+  applyStockMovement,
+  getStockSummary,
+  transferStock,
+  transformStockLevel,
+} from "./inventory.service.js";
+import { Product } from "../product/product.model.js";
+import { actorFromUser } from "../migration/migration.service.js";
+import { auditContextFromRequest } from "../audit/audit.service.js";
+import { chunksOf, enqueueJob } from "../job/job.service.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../../../util/errorHandler.js";
+import { buildPageResponse } from "../../../util/pagination.js";
+import {
+  claimAnalysis,
+  getAnalysis,
+  saveAnalysis,
+} from "../../../util/analysisStore.js";
+import ROLES from "../../../config/roles.js";
+
+/*
+ * count:   la cantidad del archivo es el recuento del depósito; la diferencia se registra como ajuste.
+ * receipt: la cantidad del archivo es mercadería que ingresa.
+ */
+const STOCK_IMPORT_MODES = ["count", "receipt"];
+
+const cleanText = (value) => String(value ?? "").trim() || undefined;
+
+/* cantidad entera no negativa, o NaN si la celda no es un número válido */
+const parseQuantity = (value) => {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const number =
+    typeof value === "number"
+      ? value
+      : Number(String(value).trim().replace(",", "."));
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+};
+
+/* convierte _id a id solo para consistencia */
+const transformWarehouseDocument = (doc) => {
+  const plainObject = doc.toObject ? doc.toObject() : doc;
+  const { _id, __v, ...rest } = plainObject;
+  return { id: _id.toString(), ...rest };
+};
+
+const transformMovementDocument = (doc) => {
+  const plainObject = doc.toObject ? doc.toObject() : doc;
+  const { _id, __v, product, ...rest } = plainObject;
+  return { id: _id.toString(), ...rest };
+};
+
+const findProductByCode = async (code) => {
+  const product = await Product.findOne({ code }, "_id code").lean();
+  if (!product) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND", { params: { code } });
+  }
+  return product;
+};
+
+const findWarehouseByCode = async (code) => {
+  const warehouse = await Warehouse.findOne({ code }).lean();
+  if (!warehouse) {
+    throw new NotFoundError("WAREHOUSE_NOT_FOUND", { params: { code } });
+  }
+  return warehouse;
+};
+
+/**
+ * @desc    Obtener los depósitos.
+ * @route   GET /api/inventory/warehouses
+ * @access  Private
+ */
+export const getAllWarehouses = asyncHandler(async (req, res) => {
+  const warehouses = await Warehouse.find().sort({ code: 1 }).lean();
+  res.status(200).json(warehouses.map(transformWarehouseDocument));
+});
+
+/**
+ * @desc    Crear un depósito.
+ * @route   POST /api/inventory/warehouses
+ * @access  Private
+ */
+export const createWarehouse = asyncHandler(async (req, res) => {
+  if (await Warehouse.exists({ code: req.joiBody.code })) {
+    throw new ConflictError("WAREHOUSE_DUPLICATE_CODE", {
+      params: { code: req.joiBody.code },
+    });
+  }
+
+  const warehouse = await Warehouse.create(req.joiBody);
+
+  req.audit({
+    entity: "Warehouse",
+    action: "create",
+    targetId: warehouse._id,
+    after: warehouse,
+  });
+
+  res.status(201).json({
+    message: "Depósito creado correctamente.",
+    data: transformWarehouseDocument(warehouse),
+  });
+});
+
+/**
+ * @desc    Actualizar el nombre, la dirección o el estado de un depósito.
+ * @route   PUT /api/inventory/warehouses/:id
+ * @access  Private
+ */
+export const updateWarehouseById = asyncHandler(async (req, res) => {
+  const previousWarehouse = await Warehouse.findById(req.params.id).lean();
+  if (!previousWarehouse) {
+    throw new NotFoundError("WAREHOUSE_NOT_FOUND", {
+      params: { code: req.params.id },
+    });
+  }
+
+  const updatedWarehouse = await Warehouse.findByIdAndUpdate(
+    req.params.id,
+    req.joiBody,
+    { new: true, runValidators: true }
+  ).lean();
+
+  req.audit({
+    entity: "Warehouse",
+    action: "update",
+    targetId: updatedWarehouse._id,
+    before: previousWarehouse,
+    after: updatedWarehouse,
+  });
+
+  res.status(200).json({
+    message: "Depósito actualizado correctamente.",
+    data: transformWarehouseDocument(updatedWarehouse),
+  });
+});
+
+/**
+ * @desc    Obtener el stock de un producto por depósito, con lo reservado y lo disponible.
+ *          Un cliente solo ve el total disponible.
+ * @route   GET /api/products/:code/stock
+ * @access  Private
+ */
+export const getProductStock = asyncHandler(async (req, res) => {
+  const product = await findProductByCode(req.params.code);
+  const summary = await getStockSummary(product._id);
+
+  if (req.user.role === ROLES.client) {
+    return res.status(200).json({
+      code: product.code,
+      available: summary.totals.available,
+      inStock: summary.totals.available > 0,
+    });
+  }
+
+  res.status(200).json({ code: product.code, ...summary });
+});
+
+/**
+ * @desc    Registrar un ingreso, un ajuste o una transferencia de stock.
+ *          Las ventas se registran al despachar los pedidos.
+ * @route   POST /api/inventory/movements
+ * @access  Private
+ */
+export const createStockMovement = asyncHandler(async (req, res) => {
+  const { type, code, quantity, reason } = req.joiBody;
+
+  const product = await findProductByCode(code);
+  const warehouse = await findWarehouseByCode(req.joiBody.warehouse);
+  const toWarehouse =
+    type === "transfer" && (await findWarehouseByCode(req.joiBody.toWarehouse));
+  if ([warehouse, toWarehouse].some((w) => w && !w.active)) {
+    throw new ConflictError("WAREHOUSE_INACTIVE");
+  }
+
+  const actor = actorFromUser(req.user);
+  const movements = await mongoose.connection.transaction(async (session) => {
+    if (type === "transfer") {
+      return transferStock(
+        {
+          product,
+          from: warehouse._id,
+          to: toWarehouse._id,
+          quantity,
+          reason,
+          actor,
+        },
+        { session }
+      );
+    }
+
+    const { movement } = await applyStockMovement(
+      {
+        product,
+        warehouse: warehouse._id,
+        type,
+        quantity,
+        source: "manual",
+        reason,
+        actor,
+      },
+      { session }
+    );
+    return [movement];
+  });
+
+  req.audit({
+    entity: "StockMovement",
+    action: "create",
+    targetId: movements[0]._id,
+    after: { type, code, warehouse: warehouse.code, quantity, reason },
+  });
+
+  res.status(201).json({
+    message: "Movimiento de stock registrado correctamente.",
+    data: movements.map(transformMovementDocument),
+  });
+});
+
+/**
+ * @desc    Obtener el libro de movimientos de stock paginado, con filtros por
+ *          producto, depósito, tipo y fecha.
+ * @route   GET /api/inventory/movements
+ * @access  Private
+ */
+export const getStockMovements = asyncHandler(async (req, res) => {
+  const { page, limit, code, warehouse, type, from, to } = req.joiQuery;
+
+  const filter = {};
+  if (code) filter.code = code;
+  if (warehouse) filter.warehouse = (await findWarehouseByCode(warehouse))._id;
+  if (type) filter.type = type;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(filter)
+      .populate("warehouse", "code name")
+      .populate("counterpart", "code name")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    StockMovement.countDocuments(filter),
+  ]);
+
+  const items = movements.map(transformMovementDocument);
+  res.status(200).json(buildPageResponse({ items, total, page, limit }));
+});
+
+/**
+ * @desc    Obtener los productos cuyo disponible está en su stock mínimo o por debajo.
+ * @route   GET /api/inventory/low-stock
+ * @access  Private
+ */
+export const getLowStock = asyncHandler(async (req, res) => {
+  const { page, limit, warehouse } = req.joiQuery;
+
+  const filter = {
+    $expr: {
+      $lte: [{ $subtract: ["$quantity", "$reserved"] }, "$minStock"],
+    },
+  };
+  if (warehouse) filter.warehouse = (await findWarehouseByCode(warehouse))._id;
+
+  const [levels, total] = await Promise.all([
+    StockLevel.find(filter)
+      .populate("warehouse", "code name")
+      .sort({ code: 1, warehouse: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    StockLevel.countDocuments(filter),
+  ]);
+
+  const items = levels.map(transformStockLevel);
+  res.status(200).json(buildPageResponse({ items, total, page, limit }));
+});
+
+/**
+ * @desc    Definir el stock mínimo de un producto en un depósito.
+ * @route   PUT /api/inventory/thresholds
+ * @access  Private
+ */
+export const setStockThreshold = asyncHandler(async (req, res) => {
+  const { code, minStock } = req.joiBody;
+  const product = await findProductByCode(code);
+  const warehouse = await findWarehouseByCode(req.joiBody.warehouse);
+
+  const previousLevel = await StockLevel.findOne(
+    { product: product._id, warehouse: warehouse._id },
+    "minStock"
+  ).lean();
+
+  const level = await StockLevel.findOneAndUpdate(
+    { product: product._id, warehouse: warehouse._id },
+    { $set: { minStock }, $setOnInsert: { code: product.code } },
+    { new: true, upsert: true, runValidators: true }
+  )
+    .populate("warehouse", "code name")
+    .lean();
+
+  req.audit({
+    entity: "StockLevel",
+    action: "update",
+    targetId: level._id,
+    diff: { minStock: { from: previousLevel?.minStock ?? 0, to: minStock } },
+  });
+
+  res.status(200).json({
+    message: "Stock mínimo actualizado correctamente.",
+    data: transformStockLevel(level),
+  });
+});
+
+/**
+ * @desc    Analiza un archivo de stock contra la base de datos sin escribir nada.
+ *          Cada fila indica producto, depósito y cantidad; en modo "count" la cantidad
+ *          es el recuento del depósito y en modo "receipt" la mercadería que ingresa.
+ * @route   POST /api/inventory/analyze
+ * @access  Private
+ */
+export const analyzeStock = asyncHandler(async (req, res) => {
+  const { rows: rawRows, mode = "count" } = req.body;
+  if (!Array.isArray(rawRows) || rawRows.length === 0) {
+    throw new BadRequestError("MIGRATION_EMPTY_FILE");
+  }
+  if (!STOCK_IMPORT_MODES.includes(mode)) {
+    throw new BadRequestError("MIGRATION_INVALID_MODE", {
+      params: { modes: STOCK_IMPORT_MODES.join(", ") },
+    });
+  }
+
+  const codes = [
+    ...new Set(rawRows.map((row) => cleanText(row.Codigo)).filter(Boolean)),
+  ];
+  const warehouseCodes = [
+    ...new Set(
+      rawRows
+        .map((row) => cleanText(row.Deposito)?.toUpperCase())
+        .filter(Boolean)
+    ),
+  ];
+
+  const [products, warehouses] = await Promise.all([
+    Product.find({ code: { $in: codes } }, "_id code").lean(),
+    Warehouse.find({ code: { $in: warehouseCodes } }).lean(),
+  ]);
+  const productsByCode = new Map(products.map((p) => [p.code, p]));
+  const warehousesByCode = new Map(warehouses.map((w) => [w.code, w]));
+
+  const levels = await StockLevel.find({
+    product: { $in: products.map((p) => p._id) },
+  }).lean();
+  const levelsByKey = new Map(
+    levels.map((level) => [`${level.code}:${level.warehouse}`, level])
+  );
+
+  const changedRows = [];
+  const unchangedRows = [];
+  const invalidRows = [];
+  const processedKeys = new Set();
+
+  for (const rawRow of rawRows) {
+    const code = cleanText(rawRow.Codigo);
+    const warehouseCode = cleanText(rawRow.Deposito)?.toUpperCase();
+    const quantity = parseQuantity(rawRow.Cantidad);
+    const minStock = parseQuantity(rawRow["Stock Mínimo"]);
+
+    const errors = [];
+    if (!code) errors.push("Campo 'Codigo' es requerido.");
+    else if (!productsByCode.has(code)) {
+      errors.push(`No existe un producto con el código ${code}.`);
+    }
+
+    const warehouse = warehouseCode && warehousesByCode.get(warehouseCode);
+    if (!warehouseCode) errors.push("Campo 'Deposito' es requerido.");
+    else if (!warehouse) errors.push(`No existe el depósito ${warehouseCode}.`);
+    else if (!warehouse.active) {
+      errors.push(`El depósito ${warehouseCode} está inactivo.`);
+    }
+
+    if (quantity === undefined) errors.push("Campo 'Cantidad' es requerido.");
+    else if (Number.isNaN(quantity)) {
+      errors.push("La cantidad debe ser un número entero no negativo.");
+    }
+    if (Number.isNaN(minStock)) {
+      errors.push("El stock mínimo debe ser un número entero no negativo.");
+    }
+
+    const key = `${code}:${warehouseCode}`;
+    if (errors.length === 0 && processedKeys.has(key)) {
+      errors.push(
+        `El Codigo ${code} está duplicado para el depósito ${warehouseCode}.`
+      );
+    }
+
+    const level =
+      warehouse && levelsByKey.get(`${code}:${warehouse._id.toString()}`);
+    const current = level?.quantity ?? 0;
+    const reserved = level?.reserved ?? 0;
+    if (errors.length === 0 && mode === "count" && quantity < reserved) {
+      errors.push(
+        `El recuento (${quantity}) no puede ser menor a lo reservado (${reserved}).`
+      );
+    }
+
+    if (errors.length > 0) {
+      invalidRows.push({ data: rawRow, errors });
+      continue;
+    }
+    processedKeys.add(key);
+
+    const row = {
+      code,
+      warehouse: warehouseCode,
+      current,
+      quantity,
+      delta: mode === "count" ? quantity - current : quantity,
+    };
+    if (minStock !== undefined) {
+      row.minStock = minStock;
+      row.currentMinStock = level?.minStock ?? 0;
+    }
+
+    if (
+      row.delta !== 0 ||
+      (minStock !== undefined && minStock !== row.currentMinStock)
+    ) {
+      changedRows.push(row);
+    } else {
+      unchangedRows.push(row);
+    }
+  }
+
+  if (changedRows.length === 0 && unchangedRows.length === 0) {
+    throw new BadRequestError("MIGRATION_NO_VALID_ROWS");
+  }
+
+  // El resultado queda guardado: la confirmación solo recibe el id y la selección.
+  const { analysisId, expiresAt } = await saveAnalysis("stock", req.user, {
+    filename: req.body.filename,
+    mode,
+    data: { changedRows },
+  });
+
+  res.status(200).json({
+    message: "Análisis completado.",
+    analysisId,
+    expiresAt,
+    mode,
+    summary: {
+      totalReceived: rawRows.length,
+      totalValid: changedRows.length + unchangedRows.length,
+      totalInvalid: invalidRows.length,
+      totalChanged: changedRows.length,
+      totalUnchanged: unchangedRows.length,
+    },
+    data: { changedRows, unchangedRows, invalidRows },
+  });
+});
+
+/**
+ * Aplica una fila confirmada del archivo de stock. En modo "count" la fila se
+ * rechaza si la existencia cambió después del análisis; el ajuste solo se
+ * registra si la existencia sigue siendo la contada.
+ */
+const applyStockRow = async (
+  row,
+  { mode, product, warehouse, actor, reason }
+) => {
+  const filter = { product: product._id, warehouse: warehouse._id };
+
+  // Sin ajuste no se escribe la existencia, así que alcanza con leerla.
+  if (mode === "count" && row.delta === 0) {
+    const level = await StockLevel.findOne(filter, "quantity").lean();
+    if ((level?.quantity ?? 0) !== row.current) {
+      throw new ConflictError("STOCK_CHANGED", {
+        params: { code: product.code },
+      });
+    }
+  }
+
+  let movement = null;
+  if (row.delta !== 0) {
+    ({ movement } = await applyStockMovement({
+      product,
+      warehouse: warehouse._id,
+      type: mode === "count" ? "adjustment" : "receipt",
+      quantity: row.delta,
+      source: "import",
+      reason,
+      actor,
+      ...(mode === "count" && { expectedQuantity: row.current }),
+    }));
+  }
+
+  if (row.minStock !== undefined && row.minStock !== row.currentMinStock) {
+    await StockLevel.updateOne(
+      filter,
+      {
+        $set: { minStock: row.minStock },
+        $setOnInsert: { code: product.code },
+      },
+      { upsert: true }
+    );
+  }
+
+  return movement;
+};
+
+/**
+ * Trabajo en segundo plano de POST /api/inventory/make-migration.
+ * Registra un movimiento por cada fila, por bloques, informando el progreso
+ * y los errores por fila. Lo ya registrado queda en el libro aunque se cancele.
+ * @param {{ user: Object, payload: Object }} job - El usuario y las filas seleccionadas.
+ * @param {Object} context - El contexto del trabajo, ver runJob en job.service.js.
+ */
+export const runStockImport = async ({ user, payload }, context) => {
+  const { filename, mode, rows } = payload;
+  await context.setTotal(rows.length);
+
+  const [products, warehouses] = await Promise.all([
+    Product.find(
+      { code: { $in: rows.map((row) => row.code) } },
+      "_id code"
+    ).lean(),
+    Warehouse.find({ code: { $in: rows.map((row) => row.warehouse) } }).lean(),
+  ]);
+  const productsByCode = new Map(products.map((p) => [p.code, p]));
+  const warehousesByCode = new Map(warehouses.map((w) => [w.code, w]));
+
+  const actor = actorFromUser(user);
+  const reason = `Importación de stock${filename ? ` (${filename})` : ""}`;
+  const errors = [];
+  let movementsCreated = 0;
+  let thresholdsUpdated = 0;
+
+  for (const chunk of chunksOf(rows)) {
+    if (await context.isCancelled()) break;
+
+    const chunkErrors = [];
+    for (const row of chunk) {
+      try {
+        const product = productsByCode.get(row.code);
+        const warehouse = warehousesByCode.get(row.warehouse);
+        if (!product) throw new Error("El producto ya no existe.");
+        if (!warehouse?.active) {
+          throw new Error("El depósito ya no existe o está inactivo.");
+        }
+
+        const movement = await applyStockRow(row, {
+          mode,
+          product,
+          warehouse,
+          actor,
+          reason,
+        });
+        if (movement) movementsCreated++;
+        if (
+          row.minStock !== undefined &&
+          row.minStock !== row.currentMinStock
+        ) {
+          thresholdsUpdated++;
+        }
+      } catch (error) {
+        chunkErrors.push({ data: row, error: error.message });
+      }
+    }
+
+    errors.push(...chunkErrors);
+    await context.reportProgress(
+      chunk.length,
+      chunkErrors.map(({ data, error }) => ({ code: data.code, error }))
+    );
+  }
+
+  const summary = {
+    movementsCreated,
+    thresholdsUpdated,
+    rowsWithErrors: errors.length,
+  };
+
+  context.audit({
+    entity: "StockMovement",
+    action: "import",
+    after: { filename, mode, ...summary },
+  });
+
+  return {
+    message: "Proceso de carga de stock completado.",
+    summary,
+    errors,
+  };
+};
+
+/**
+ * @desc    Encola el registro de las filas de un análisis de stock previo. Sin
+ *          `selected` se confirman todas; si no, solo los códigos seleccionados.
+ *          El progreso y el resultado se consultan en GET /api/jobs/:id.
+ * @route   POST /api/inventory/make-migration
+ * @access  Private
+ */
+export const confirmStockImport = asyncHandler(async (req, res) => {
+  const { analysisId, selected } = req.joiBody;
+
+  const analysis = await getAnalysis("stock", analysisId, req.user);
+  const selectedCodes = selected && new Set(selected.codes);
+  const rows = analysis.data.changedRows.filter(
+    (row) => !selectedCodes || selectedCodes.has(row.code)
+  );
+
+  if (rows.length === 0) {
+    throw new BadRequestError("MIGRATION_NOTHING_SELECTED");
+  }
+
+  // Recién ahora se marca como confirmado: una selección vacía no invalida el análisis.
+  await claimAnalysis("stock", analysisId);
+
+  const job = await enqueueJob(
+    "stock-import",
+    req.user,
+    { filename: analysis.filename, mode: analysis.mode, rows },
+    auditContextFromRequest(req)
+  );
+
+  res.status(202).json({
+    message: "Carga de stock en proceso.",
+    jobId: job.id,
+  });
+});
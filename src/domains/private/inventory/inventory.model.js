@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+
+/*
+ * receipt:    ingreso de mercadería.
+ * sale:       egreso por un pedido despachado.
+ * adjustment: corrección por recuento, rotura o vencimiento; puede ser positiva o negativa.
+ * transfer:   pase entre depósitos; genera un egreso en el origen y un ingreso en el destino.
+ */
+export const STOCK_MOVEMENT_TYPES = [
+  "receipt",
+  "sale",
+  "adjustment",
+  "transfer",
+];
+
+const actorSchema = new mongoose.Schema(
+  {
+    id: { type: String },
+    username: { type: String },
+    role: { type: String },
+  },
+  { _id: false }
+);
+
+const warehouseSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    address: { type: String },
+    active: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/* existencia actual de un producto en un depósito; disponible = quantity - reserved */
+const stockLevelSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    code: { type: String, required: true },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    quantity: { type: Number, default: 0, min: 0 },
+    reserved: { type: Number, default: 0, min: 0 },
+    // con este disponible o menos el producto figura con stock bajo
+    minStock: { type: Number, default: 0, min: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockLevelSchema.index({ product: 1, warehouse: 1 }, { unique: true });
+stockLevelSchema.index({ code: 1 });
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    code: { type: String, required: true },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    type: { type: String, enum: STOCK_MOVEMENT_TYPES, required: true },
+    // positiva si ingresa mercadería al depósito, negativa si egresa
+    quantity: { type: Number, required: true },
+    // existencia del depósito después del movimiento
+    balance: { type: Number, required: true },
+    // depósito de origen o destino de una transferencia
+    counterpart: { type: mongoose.Schema.Types.ObjectId, ref: "Warehouse" },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    source: {
+      type: String,
+      enum: ["manual", "import", "order"],
+      required: true,
+    },
+    reason: { type: String },
+    createdBy: { type: actorSchema },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+stockMovementSchema.index({ code: 1, createdAt: -1 });
+stockMovementSchema.index({ warehouse: 1, createdAt: -1 });
+
+// El libro de movimientos no se modifica: una corrección es un nuevo ajuste.
+const rejectLedgerChange = function () {
+  throw new Error("Los movimientos de stock no se pueden modificar.");
+};
+stockMovementSchema.pre("save", function () {
+  if (!this.isNew) rejectLedgerChange();
+});
+stockMovementSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectLedgerChange
+);
+
+export const Warehouse = mongoose.model("Warehouse", warehouseSchema);
+export const StockLevel = mongoose.model("StockLevel", stockLevelSchema);
+export const StockMovement = mongoose.model(
+  "StockMovement",
+  stockMovementSchema
+);
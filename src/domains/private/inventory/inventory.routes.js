@@ -0,0 +1,82 @@
+import express from "express";
+import {
+  analyzeStock,
+  confirmStockImport,
+  createStockMovement,
+  createWarehouse,
+  getAllWarehouses,
+  getLowStock,
+  getStockMovements,
+  setStockThreshold,
+  updateWarehouseById,
+} from "./inventory.controller.js";
+import {
+  confirmStockImportSchema,
+  createStockMovementSchema,
+  createWarehouseSchema,
+  listStockMovementsQuerySchema,
+  lowStockQuerySchema,
+  stockThresholdSchema,
+  updateWarehouseSchema,
+} from "./inventory.validation.js";
+import {
+  parseSpreadsheetRows,
+  uploadSpreadsheet,
+} from "../../../interface/middleware/upload.middleware.js";
+import { STOCK_FILE_HEADERS } from "../../../config/fileHeaders.js";
+import { authorize } from "../../../interface/middleware/auth.middleware.js";
+import {
+  validateReqBody,
+  validateReqQuery,
+} from "../../../interface/middleware/joi.middleware.js";
+import { EDITOR_ROLES } from "../../../config/roles.js";
+
+const router = express.Router();
+
+router
+  .route("/warehouses")
+  .get(getAllWarehouses)
+  .post(
+    authorize(EDITOR_ROLES),
+    validateReqBody(createWarehouseSchema),
+    createWarehouse
+  );
+router.put(
+  "/warehouses/:id",
+  authorize(EDITOR_ROLES),
+  validateReqBody(updateWarehouseSchema),
+  updateWarehouseById
+);
+
+router
+  .route("/movements")
+  .get(validateReqQuery(listStockMovementsQuerySchema), getStockMovements)
+  .post(
+    authorize(EDITOR_ROLES),
+    validateReqBody(createStockMovementSchema),
+    createStockMovement
+  );
+
+router.get("/low-stock", validateReqQuery(lowStockQuerySchema), getLowStock);
+router.put(
+  "/thresholds",
+  authorize(EDITOR_ROLES),
+  validateReqBody(stockThresholdSchema),
+  setStockThreshold
+);
+
+router.post(
+  "/analyze",
+  authorize(EDITOR_ROLES),
+  uploadSpreadsheet,
+  parseSpreadsheetRows("rows", STOCK_FILE_HEADERS),
+  analyzeStock
+);
+router.post(
+  "/make-migration",
+  authorize(EDITOR_ROLES),
+  validateReqBody(confirmStockImportSchema),
+  confirmStockImport
+);
+
+export default router;
@@ -0,0 +1,255 @@
+import { StockLevel, StockMovement, Warehouse } from "./inventory.model.js";
+import { ConflictError } from "../../../util/errorHandler.js";
+
+/* lo que se puede vender de un nivel de stock: la existencia menos lo reservado */
+export const availableOf = (level) => level.quantity - level.reserved;
+
+/* filtro de los niveles que alcanzan para sacar `quantity` unidades sin tocar lo reservado */
+const hasAvailable = (quantity) => ({
+  $expr: { $gte: [{ $subtract: ["$quantity", "$reserved"] }, quantity] },
+});
+
+/**
+ * Convierte un nivel de stock, con el depósito ya poblado, a lo que ve el panel.
+ */
+export const transformStockLevel = (level) => {
+  const available = availableOf(level);
+  return {
+    warehouse: {
+      id: level.warehouse._id.toString(),
+      code: level.warehouse.code,
+      name: level.warehouse.name,
+    },
+    code: level.code,
+    quantity: level.quantity,
+    reserved: level.reserved,
+    available,
+    minStock: level.minStock,
+    lowStock: available <= level.minStock,
+  };
+};
+
+/**
+ * Resume el stock de un producto en todos los depósitos.
+ * @param {ObjectId} productId - El producto.
+ * @returns {Promise<{ warehouses: Object[], totals: Object, lowStock: boolean }>}
+ */
+export const getStockSummary = async (productId) => {
+  const levels = await StockLevel.find({ product: productId })
+    .populate("warehouse", "code name")
+    .sort({ warehouse: 1 })
+    .lean();
+
+  const warehouses = levels.map(transformStockLevel);
+  const totals = {
+    quantity: warehouses.reduce((sum, w) => sum + w.quantity, 0),
+    reserved: warehouses.reduce((sum, w) => sum + w.reserved, 0),
+    available: warehouses.reduce((sum, w) => sum + w.available, 0),
+  };
+
+  return {
+    warehouses,
+    totals,
+    lowStock: warehouses.some((w) => w.lowStock),
+  };
+};
+
+/**
+ * Registra un movimiento en el libro y actualiza la existencia del depósito en la
+ * misma operación. Un egreso solo se acepta si alcanza el stock disponible, salvo
+ * que consuma una reserva (`fromReserved`), como el despacho de un pedido.
+ * @param {Object} movement
+ * @param {{ _id: ObjectId, code: string }} movement.product - El producto.
+ * @param {ObjectId} movement.warehouse - El depósito.
+ * @param {"receipt"|"sale"|"adjustment"|"transfer"} movement.type - El tipo de movimiento.
+ * @param {number} movement.quantity - Positiva si ingresa, negativa si egresa.
+ * @param {"manual"|"import"|"order"} movement.source - El origen del movimiento.
+ * @param {ObjectId} [movement.counterpart] - El otro depósito de una transferencia.
+ * @param {ObjectId} [movement.order] - El pedido que originó el movimiento.
+ * @param {string} [movement.reason] - El motivo.
+ * @param {Object} [movement.actor] - El usuario que lo hizo, ver actorFromUser.
+ * @param {boolean} [movement.fromReserved] - Si el egreso consume una reserva.
+ * @param {number} [movement.expectedQuantity] - La existencia que se espera encontrar,
+ *   ej: la de un conteo; si es otra el movimiento se rechaza con STOCK_CHANGED.
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - La sesión si corre en una transacción.
+ * @returns {Promise<{ level: Object, movement: Object }>}
+ */
+export const applyStockMovement = async (
+  {
+    product,
+    warehouse,
+    type,
+    quantity,
+    source,
+    counterpart,
+    order,
+    reason,
+    actor,
+    fromReserved = false,
+    expectedQuantity,
+  },
+  { session } = {}
+) => {
+  const filter = { product: product._id, warehouse };
+  const update = {
+    $inc: { quantity },
+    $setOnInsert: { code: product.code },
+  };
+
+  if (quantity < 0 && fromReserved) {
+    filter.quantity = { $gte: -quantity };
+    filter.reserved = { $gte: -quantity };
+    update.$inc.reserved = quantity;
+  } else if (quantity < 0) {
+    Object.assign(filter, hasAvailable(-quantity));
+  }
+  if (expectedQuantity !== undefined) filter.quantity = expectedQuantity;
+
+  // Solo un ingreso puede crear el nivel de stock del depósito, y si se espera
+  // una existencia, solo cuando se espera que esté vacío.
+  const level = await StockLevel.findOneAndUpdate(filter, update, {
+    new: true,
+    upsert: quantity > 0 && !expectedQuantity,
+    session,
+  }).catch((error) => {
+    // el nivel existe con otra existencia: la inserción choca con el índice único
+    if (error.code === 11000 && expectedQuantity !== undefined) return null;
+    throw error;
+  });
+  if (!level) {
+    // con la existencia esperada, lo que falló es el disponible
+    const changed =
+      expectedQuantity !== undefined &&
+      !(await StockLevel.exists({
+        product: product._id,
+        warehouse,
+        quantity: expectedQuantity,
+      }).session(session));
+    throw new ConflictError(changed ? "STOCK_CHANGED" : "INSUFFICIENT_STOCK", {
+      params: { code: product.code },
+    });
+  }
+
+  const [movement] = await StockMovement.create(
+    [
+      {
+        product: product._id,
+        code: product.code,
+        warehouse,
+        type,
+        quantity,
+        balance: level.quantity,
+        counterpart,
+        order,
+        source,
+        reason,
+        createdBy: actor,
+      },
+    ],
+    { session }
+  );
+
+  return { level, movement };
+};
+
+/**
+ * Pasa mercadería de un depósito a otro. Debe correr en una transacción para
+ * que el egreso y el ingreso queden registrados juntos.
+ * @returns {Promise<Object[]>} Los dos movimientos, egreso e ingreso.
+ */
+export const transferStock = async (
+  { product, from, to, quantity, reason, actor },
+  { session }
+) => {
+  const base = { product, type: "transfer", source: "manual", reason, actor };
+  const out = await applyStockMovement(
+    { ...base, warehouse: from, counterpart: to, quantity: -quantity },
+    { session }
+  );
+  const into = await applyStockMovement(
+    { ...base, warehouse: to, counterpart: from, quantity },
+    { session }
+  );
+  return [out.movement, into.movement];
+};
+
+/**
+ * Reserva el stock de los ítems de un pedido. Cada ítem sale entero de un solo
+ * depósito activo, el de mayor existencia entre los que alcanzan.
+ * @param {{ product: ObjectId, code: string, quantity: number }[]} items - Los ítems del pedido.
+ * @param {Object} options
+ * @param {ClientSession} options.session - La sesión de la transacción del cambio de estado.
+ * @returns {Promise<ObjectId[]>} El depósito asignado a cada ítem, en el mismo orden.
+ */
+export const reserveOrderItems = async (items, { session }) => {
+  const activeWarehouses = await Warehouse.find({ active: true }, "_id")
+    .session(session)
+    .lean();
+  const warehouseIds = activeWarehouses.map((w) => w._id);
+
+  const assigned = [];
+  for (const item of items) {
+    const level = await StockLevel.findOneAndUpdate(
+      {
+        product: item.product,
+        warehouse: { $in: warehouseIds },
+        ...hasAvailable(item.quantity),
+      },
+      { $inc: { reserved: item.quantity } },
+      { sort: { quantity: -1 }, new: true, session }
+    );
+    if (!level) {
+      throw new ConflictError("INSUFFICIENT_STOCK", {
+        params: { code: item.code },
+      });
+    }
+    assigned.push(level.warehouse);
+  }
+  return assigned;
+};
+
+/**
+ * Libera la reserva de los ítems de un pedido confirmado que se cancela.
+ * Los ítems sin depósito son de pedidos confirmados antes de llevar stock.
+ */
+export const releaseOrderItems = async (items, { session }) => {
+  for (const item of items) {
+    if (!item.warehouse) continue;
+    await StockLevel.updateOne(
+      {
+        product: item.product,
+        warehouse: item.warehouse,
+        reserved: { $gte: item.quantity },
+      },
+      { $inc: { reserved: -item.quantity } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Registra como venta los ítems de un pedido despachado, consumiendo su reserva.
+ * @param {Object} order - El pedido, con sus ítems ya asignados a un depósito.
+ * @param {Object} options
+ * @param {Object} [options.actor] - El usuario que despachó el pedido.
+ * @param {ClientSession} options.session - La sesión de la transacción del cambio de estado.
+ */
+export const dispatchOrderItems = async (order, { actor, session }) => {
+  for (const item of order.items) {
+    if (!item.warehouse) continue;
+    await applyStockMovement(
+      {
+        product: { _id: item.product, code: item.code },
+        warehouse: item.warehouse,
+        type: "sale",
+        quantity: -item.quantity,
+        source: "order",
+        order: order._id,
+        actor,
+        fromReserved: true,
+      },
+      { session }
+    );
+  }
+};
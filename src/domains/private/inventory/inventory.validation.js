@@ -0,0 +1,144 @@
+import Joi from "joi";
+import { paginationQuery } from "../../../util/pagination.js";
+import { STOCK_MOVEMENT_TYPES } from "./inventory.model.js";
+
+const MAX_QUANTITY = 1000000;
+
+const warehouseCode = Joi.string().trim().uppercase().max(20);
+
+const quantity = Joi.number()
+  .integer()
+  .min(-MAX_QUANTITY)
+  .max(MAX_QUANTITY)
+  .messages({
+    "number.base": `"quantity" debe ser un número.`,
+    "number.integer": `"quantity" debe ser un número entero.`,
+  });
+
+/**
+ * Schema para la creación de un depósito.
+ */
+export const createWarehouseSchema = Joi.object({
+  code: warehouseCode.required().messages({
+    "any.required": `"code" es un campo obligatorio.`,
+  }),
+  name: Joi.string().trim().max(100).required().messages({
+    "any.required": `"name" es un campo obligatorio.`,
+  }),
+  address: Joi.string().trim().max(200).allow(""),
+  active: Joi.boolean().default(true),
+});
+
+/**
+ * Schema para la actualización de un depósito. El código no se modifica
+ * porque lo usan los archivos de stock.
+ */
+export const updateWarehouseSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  address: Joi.string().trim().max(200).allow(""),
+  active: Joi.boolean(),
+})
+  .min(1)
+  .messages({ "object.min": "Debe indicar al menos un campo a modificar." });
+
+/**
+ * Schema para registrar un movimiento de stock. Un ajuste lleva signo y motivo;
+ * el resto de los movimientos se cargan con cantidad positiva.
+ */
+export const createStockMovementSchema = Joi.object({
+  type: Joi.string()
+    .valid(...STOCK_MOVEMENT_TYPES.filter((type) => type !== "sale"))
+    .required()
+    .messages({
+      "any.only": `"type" debe ser uno de: receipt, adjustment, transfer.`,
+      "any.required": `"type" es un campo obligatorio.`,
+    }),
+  code: Joi.string().trim().required().messages({
+    "any.required": `"code" es un campo obligatorio.`,
+  }),
+  warehouse: warehouseCode.required().messages({
+    "any.required": `"warehouse" es un campo obligatorio.`,
+  }),
+  toWarehouse: warehouseCode
+    .invalid(Joi.ref("warehouse"))
+    .when("type", {
+      is: "transfer",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "any.invalid": `"toWarehouse" debe ser distinto de "warehouse".`,
+      "any.required": `"toWarehouse" es obligatorio en una transferencia.`,
+      "any.unknown": `"toWarehouse" solo se usa en una transferencia.`,
+    }),
+  quantity: quantity
+    .when("type", {
+      is: "adjustment",
+      then: Joi.invalid(0),
+      otherwise: Joi.number().min(1),
+    })
+    .required()
+    .messages({
+      "any.invalid": `"quantity" no puede ser 0.`,
+      "number.min": `"quantity" debe ser al menos 1.`,
+      "any.required": `"quantity" es un campo obligatorio.`,
+    }),
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .when("type", { is: "adjustment", then: Joi.required() })
+    .messages({
+      "any.required": `"reason" es obligatorio en un ajuste.`,
+    }),
+});
+
+/**
+ * Schema para los filtros del libro de movimientos.
+ */
+export const listStockMovementsQuerySchema = Joi.object({
+  ...paginationQuery,
+  code: Joi.string().trim(),
+  warehouse: warehouseCode,
+  type: Joi.string().valid(...STOCK_MOVEMENT_TYPES),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref("from")).messages({
+    "date.min": `"to" debe ser posterior a "from".`,
+  }),
+});
+
+/**
+ * Schema para el listado de productos con stock bajo.
+ */
+export const lowStockQuerySchema = Joi.object({
+  ...paginationQuery,
+  warehouse: warehouseCode,
+});
+
+/**
+ * Schema para definir el stock mínimo de un producto en un depósito.
+ */
+export const stockThresholdSchema = Joi.object({
+  code: Joi.string().trim().required().messages({
+    "any.required": `"code" es un campo obligatorio.`,
+  }),
+  warehouse: warehouseCode.required().messages({
+    "any.required": `"warehouse" es un campo obligatorio.`,
+  }),
+  minStock: Joi.number().integer().min(0).required().messages({
+    "number.min": `"minStock" no puede ser negativo.`,
+    "any.required": `"minStock" es un campo obligatorio.`,
+  }),
+});
+
+/**
+ * Schema para confirmar un análisis de stock. Sin `selected` se confirman todas las filas.
+ */
+export const confirmStockImportSchema = Joi.object({
+  analysisId: Joi.string().guid().required().messages({
+    "any.required": `"analysisId" es un campo obligatorio.`,
+    "string.guid": `"analysisId" no es válido.`,
+  }),
+  selected: Joi.object({
+    codes: Joi.array().items(Joi.string().trim()).required(),
+  }),
+});
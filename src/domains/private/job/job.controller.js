@@ -0,0 +1,29 @@
+import asyncHandler from "express-async-handler";
+import { cancelJob, getJob, transformJob } from "./job.service.js";
+
+/**
+ * @desc    Obtener el estado, el progreso, los errores por fila y el resultado de un trabajo.
+ * @route   GET /api/jobs/:id
+ * @access  Private
+ */
+export const getJobById = asyncHandler(async (req, res) => {
+  const job = await getJob(req.params.id, req.user);
+  res.status(200).json(transformJob(job));
+});
+
+/**
+ * @desc    Cancelar un trabajo encolado o en curso. Lo ya procesado queda registrado
+ *          como migración y puede revertirse.
+ * @route   POST /api/jobs/:id/cancel
+ * @access  Private
+ */
+export const cancelJobById = asyncHandler(async (req, res) => {
+  const job = await cancelJob(req.params.id, req.user);
+  res.status(200).json({
+    message:
+      job.status === "cancelled"
+        ? "Trabajo cancelado."
+        : "Cancelación solicitada. El trabajo se detendrá al terminar el bloque actual.",
+    job: transformJob(job),
+  });
+});
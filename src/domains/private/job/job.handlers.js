@@ -0,0 +1,12 @@
+import { runClientMigration } from "../client/client.controller.js";
+import { runProductMigration } from "../product/product.controller.js";
+import { runStockImport } from "../inventory/inventory.controller.js";
+import { runImageImport } from "../image/image.controller.js";
+
+/* handler de cada tipo de trabajo que acepta la cola */
+export default {
+  "client-migration": runClientMigration,
+  "product-migration": runProductMigration,
+  "stock-import": runStockImport,
+  "image-import": runImageImport,
+};
@@ -0,0 +1,9 @@
+import express from "express";
+import { cancelJobById, getJobById } from "./job.controller.js";
+
+const router = express.Router();
+
+router.get("/:id", getJobById);
+router.post("/:id/cancel", cancelJobById);
+
+export default router;
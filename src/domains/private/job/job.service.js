@@ -0,0 +1,294 @@
+import crypto from "crypto";
+import redis from "../../redis.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../../../util/errorHandler.js";
+import { writeAuditEntries } from "../audit/audit.service.js";
+
+const JOB_TTL = Number(process.env.JOB_TTL_SECONDS) || 24 * 60 * 60;
+
+/* cantidad de filas que un trabajo procesa entre cada reporte de progreso */
+const JOB_CHUNK_SIZE = Number(process.env.JOB_CHUNK_SIZE) || 200;
+
+export const JOB_QUEUE = "jobs:queue";
+/* trabajos tomados por un worker; si el proceso se detiene, quedan acá para recuperarlos */
+export const JOB_PROCESSING_QUEUE = "jobs:processing";
+
+/* segundos entre cada latido de un trabajo en curso; sin latidos por tres intervalos se lo da por interrumpido */
+const JOB_HEARTBEAT_SECONDS = Number(process.env.JOB_HEARTBEAT_SECONDS) || 30;
+
+/* parte una lista en bloques de JOB_CHUNK_SIZE filas */
+export const chunksOf = (items) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += JOB_CHUNK_SIZE) {
+    chunks.push(items.slice(i, i + JOB_CHUNK_SIZE));
+  }
+  return chunks;
+};
+
+const jobKey = (id) => `job:${id}`;
+const payloadKey = (id) => `job:${id}:payload`;
+const cancelKey = (id) => `job:${id}:cancel`;
+const heartbeatKey = (id) => `job:${id}:heartbeat`;
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+const saveJob = (job) =>
+  redis.set(jobKey(job.id), JSON.stringify(job), {
+    expiration: { type: "EX", value: JOB_TTL },
+  });
+
+const loadJob = async (id) => {
+  const raw = await redis.get(jobKey(id));
+  return raw ? JSON.parse(raw) : null;
+};
+
+/* reemplaza el trabajo solo si nadie lo modificó desde que se leyó ARGV[1] */
+const SWAP_JOB_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("SET", KEYS[1], ARGV[2], "KEEPTTL")
+end
+return false
+`;
+
+/**
+ * Pasa un trabajo a otro estado solo si sigue en `from`, en una sola escritura
+ * condicional: de dos procesos que lo intentan a la vez, solo uno lo logra.
+ * @returns {Promise<Object|null>} El trabajo actualizado, o null si ya no estaba en `from`.
+ */
+const transitionJob = async (id, from, fields) => {
+  const raw = await redis.get(jobKey(id));
+  const job = raw && JSON.parse(raw);
+  if (!job || job.status !== from) return null;
+
+  Object.assign(job, fields);
+  const swapped = await redis.eval(SWAP_JOB_SCRIPT, {
+    keys: [jobKey(id)],
+    arguments: [raw, JSON.stringify(job)],
+  });
+  return swapped === null ? null : job;
+};
+
+const beat = (id) =>
+  redis.set(heartbeatKey(id), "1", {
+    expiration: { type: "EX", value: JOB_HEARTBEAT_SECONDS * 3 },
+  });
+
+/* lo que ve el usuario: sin el dueño ni el contexto de auditoría */
+export const transformJob = ({ owner, auditContext, ...job }) => job;
+
+/**
+ * Encola un trabajo en segundo plano y devuelve su estado inicial.
+ * @param {string} type - El tipo de trabajo (ej: "client-migration"), ver job.handlers.js.
+ * @param {Object} user - El usuario que lo inicia (req.user); solo él puede consultarlo.
+ * @param {Object} payload - Los datos que necesita el trabajo.
+ * @param {Object} [auditContext] - El contexto del pedido para las entradas de auditoría.
+ * @returns {Promise<Object>} El trabajo encolado.
+ */
+export const enqueueJob = async (type, user, payload, auditContext) => {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    owner: user.id,
+    auditContext,
+    status: "queued",
+    progress: { processed: 0, total: 0 },
+    errors: [],
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  await redis
+    .multi()
+    .set(payloadKey(job.id), JSON.stringify({ user, payload }), {
+      expiration: { type: "EX", value: JOB_TTL },
+    })
+    .set(jobKey(job.id), JSON.stringify(job), {
+      expiration: { type: "EX", value: JOB_TTL },
+    })
+    .lPush(JOB_QUEUE, job.id)
+    .exec();
+
+  return job;
+};
+
+/**
+ * Lee un trabajo. Solo puede verlo el usuario que lo inició.
+ * @param {string} id - El id del trabajo.
+ * @param {Object} user - El usuario autenticado (req.user).
+ */
+export const getJob = async (id, user) => {
+  const job = await loadJob(id);
+  if (!job) {
+    throw new NotFoundError("JOB_NOT_FOUND");
+  }
+  if (job.owner !== user.id) {
+    throw new ForbiddenError("JOB_FORBIDDEN");
+  }
+  return job;
+};
+
+/**
+ * Pide cancelar un trabajo. Si todavía no empezó se cancela en el momento;
+ * si está en curso se detiene al terminar el bloque de filas actual.
+ * @param {string} id - El id del trabajo.
+ * @param {Object} user - El usuario autenticado (req.user).
+ */
+export const cancelJob = async (id, user) => {
+  const job = await getJob(id, user);
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    throw new ConflictError("JOB_FINISHED");
+  }
+
+  await redis.set(cancelKey(id), "1", {
+    expiration: { type: "EX", value: JOB_TTL },
+  });
+
+  if (job.status === "queued") {
+    const cancelled = await transitionJob(id, "queued", {
+      status: "cancelled",
+      finishedAt: new Date().toISOString(),
+    });
+    // Si un worker lo tomó recién, se detiene por la marca de cancelación.
+    return { ...(cancelled || (await loadJob(id))), cancelRequested: true };
+  }
+
+  return { ...job, cancelRequested: true };
+};
+
+/* ejecuta un trabajo ya tomado de la cola, ver runJob */
+const executeJob = async (id, handlers) => {
+  const job = await transitionJob(id, "queued", {
+    status: "running",
+    startedAt: new Date().toISOString(),
+  });
+  // ya lo tomó otro worker, o se canceló antes de empezar
+  if (!job) return;
+
+  const rawPayload = await redis.get(payloadKey(id));
+  const handler = handlers[job.type];
+  const auditEntries = [];
+
+  const finish = async (status, fields) => {
+    Object.assign(job, fields, {
+      status,
+      finishedAt: new Date().toISOString(),
+    });
+    await saveJob(job);
+    await redis.del([payloadKey(id), cancelKey(id)]);
+  };
+
+  if (!handler || !rawPayload) {
+    await finish("failed", {
+      error: handler
+        ? "Los datos del trabajo expiraron."
+        : "Tipo de trabajo desconocido.",
+    });
+    return;
+  }
+
+  let cancelled = false;
+  const context = {
+    setTotal: (total) => {
+      job.progress = { processed: 0, total };
+      job.errors = [];
+      return saveJob(job);
+    },
+    reportProgress: (processed, errors = []) => {
+      job.progress.processed += processed;
+      job.errors.push(...errors);
+      return saveJob(job);
+    },
+    isCancelled: async () => {
+      cancelled = cancelled || (await redis.exists(cancelKey(id))) === 1;
+      return cancelled;
+    },
+    audit: (entry) => {
+      auditEntries.push(entry);
+    },
+  };
+
+  try {
+    const result = await handler(JSON.parse(rawPayload), context);
+    await writeAuditEntries(
+      auditEntries.map((entry) => ({ ...job.auditContext, ...entry }))
+    );
+    await finish(cancelled ? "cancelled" : "completed", { result });
+  } catch (error) {
+    console.error(`Error en el trabajo ${id}:`, error);
+    await finish(cancelled ? "cancelled" : "failed", { error: error.message });
+  }
+};
+
+/**
+ * Ejecuta un trabajo de la cola con su handler.
+ * El handler recibe `{ user, payload }` y un contexto con:
+ * - `setTotal(total)`: la cantidad de filas a procesar; reinicia el progreso,
+ *   por si una transacción se reintenta desde el principio.
+ * - `reportProgress(processed, errors)`: suma filas procesadas y sus errores por fila.
+ * - `isCancelled()`: si se pidió cancelar; el handler debe cortar y devolver lo hecho.
+ * - `audit(entry)`: como `req.audit`, se guarda si el trabajo termina sin fallar.
+ * @param {string} id - El id del trabajo.
+ * @param {Object} handlers - Los handlers por tipo de trabajo.
+ */
+export const runJob = async (id, handlers) => {
+  // El latido va antes de tomar el trabajo: uno "running" siempre tiene latido.
+  await beat(id);
+  const heartbeat = setInterval(
+    () => beat(id).catch(() => {}),
+    JOB_HEARTBEAT_SECONDS * 1000
+  );
+
+  try {
+    await executeJob(id, handlers);
+  } finally {
+    clearInterval(heartbeat);
+    await redis
+      .multi()
+      .lRem(JOB_PROCESSING_QUEUE, 1, id)
+      .del(heartbeatKey(id))
+      .exec();
+  }
+};
+
+/**
+ * Recupera los trabajos que quedaron en JOB_PROCESSING_QUEUE sin latido porque el
+ * proceso que los ejecutaba se detuvo. Los que no llegaron a empezar vuelven a la cola;
+ * los que estaban en curso se marcan como fallidos, ya que pueden haber cargado datos a medias.
+ * Si un trabajo se reencola mientras otro worker lo está por tomar, solo uno de los
+ * dos lo pasa a "running", ver transitionJob.
+ */
+export const recoverStaleJobs = async () => {
+  const ids = await redis.lRange(JOB_PROCESSING_QUEUE, 0, -1);
+
+  for (const id of ids) {
+    if ((await redis.exists(heartbeatKey(id))) === 1) continue;
+
+    const job = await loadJob(id);
+    if (job?.status === "queued") {
+      await redis
+        .multi()
+        .lRem(JOB_PROCESSING_QUEUE, 1, id)
+        .rPush(JOB_QUEUE, id)
+        .exec();
+      continue;
+    }
+
+    const failed =
+      job?.status === "running" &&
+      (await transitionJob(id, "running", {
+        status: "failed",
+        error:
+          "El trabajo se interrumpió porque se detuvo el proceso que lo ejecutaba.",
+        finishedAt: new Date().toISOString(),
+      }));
+    if (failed) await redis.del([payloadKey(id), cancelKey(id)]);
+    await redis.lRem(JOB_PROCESSING_QUEUE, 1, id);
+  }
+};
@@ -0,0 +1,47 @@
+import redis from "../../redis.js";
+import {
+  JOB_PROCESSING_QUEUE,
+  JOB_QUEUE,
+  recoverStaleJobs,
+  runJob,
+} from "./job.service.js";
+import handlers from "./job.handlers.js";
+
+/* segundos que espera cada lectura bloqueante de la cola */
+const POLL_TIMEOUT = 5;
+const RETRY_DELAY_MS = 5000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Toma los trabajos de la cola de Redis de a uno y los ejecuta. Cada trabajo pasa a
+ * JOB_PROCESSING_QUEUE mientras corre; al iniciar se recuperan los que quedaron ahí.
+ * Usa su propia conexión porque la lectura bloqueante la ocupa mientras espera.
+ * @returns {Promise<never>} No termina mientras el proceso corre; se rechaza si falla
+ *   la conexión inicial o la recuperación de los trabajos interrumpidos.
+ */
+export const startJobWorker = async () => {
+  const queue = redis.duplicate();
+  queue.on("error", (error) => {
+    console.error("Redis error (cola de trabajos):", error.message);
+  });
+  await queue.connect();
+  await recoverStaleJobs();
+  console.log("Job worker ready");
+
+  for (;;) {
+    try {
+      const id = await queue.blMove(
+        JOB_QUEUE,
+        JOB_PROCESSING_QUEUE,
+        "RIGHT",
+        "LEFT",
+        POLL_TIMEOUT
+      );
+      if (id) await runJob(id, handlers);
+    } catch (error) {
+      console.error("Error leyendo la cola de trabajos:", error.message);
+      await wait(RETRY_DELAY_MS);
+    }
+  }
+};
@@ -0,0 +1,239 @@
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { Lab, Product } from "../product/product.model.js";
+import PriceRule from "../priceRule/priceRule.model.js";
+import { findLabNameConflicts } from "./lab.service.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../../../util/errorHandler.js";
+
+/**
+ * @desc    Obtener todos los laboratorios con la cantidad de productos de cada uno.
+ * @route   GET /api/labs
+ * @access  Private
+ */
+export const getAllLabs = asyncHandler(async (req, res) => {
+  const [labs, counts] = await Promise.all([
+    Lab.find().sort({ name: 1 }).lean(),
+    Product.aggregate([
+      { $match: { lab: { $ne: null } } },
+      { $group: { _id: "$lab", productCount: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countsByLab = new Map(
+    counts.map(({ _id, productCount }) => [_id.toString(), productCount])
+  );
+
+  const items = labs.map(({ _id, __v, ...rest }) => ({
+    id: _id.toString(),
+    ...rest,
+    productCount: countsByLab.get(_id.toString()) || 0,
+  }));
+
+  res.status(200).json({ items });
+});
+
+/* convierte _id a id solo para consistencia */
+const transformLabDocument = ({ _id, __v, ...rest }) => ({
+  id: _id.toString(),
+  ...rest,
+});
+
+const findLabOrFail = async (id) => {
+  const lab = await Lab.findById(id).lean();
+  if (!lab) {
+    throw new NotFoundError("LAB_NOT_FOUND");
+  }
+  return lab;
+};
+
+/* rechaza nombres o alias que ya use otro laboratorio */
+const assertNamesAvailable = async (names, excludeId) => {
+  const conflicts = await findLabNameConflicts(names, excludeId);
+  if (conflicts.length > 0) {
+    throw new ConflictError("LAB_NAME_CONFLICT", {
+      params: { names: conflicts.join(", ") },
+    });
+  }
+};
+
+/**
+ * @desc    Obtener un laboratorio por su ID, con sus alias.
+ * @route   GET /api/labs/:id
+ * @access  Private
+ */
+export const getLabById = asyncHandler(async (req, res) => {
+  const lab = await findLabOrFail(req.params.id);
+  const productCount = await Product.countDocuments({ lab: lab._id });
+  res.status(200).json({ ...transformLabDocument(lab), productCount });
+});
+
+/**
+ * @desc    Crear un laboratorio.
+ * @route   POST /api/labs
+ * @access  Private
+ */
+export const createLab = asyncHandler(async (req, res) => {
+  const { name, aliases } = req.joiBody;
+  await assertNamesAvailable([name, ...aliases]);
+
+  const lab = await Lab.create({
+    name,
+    aliases: aliases.filter((alias) => alias !== name),
+  });
+
+  req.audit({
+    entity: "Lab",
+    action: "create",
+    targetId: lab._id,
+    after: lab,
+  });
+
+  res.status(201).json({
+    message: "Laboratorio creado correctamente.",
+    data: transformLabDocument(lab.toObject()),
+  });
+});
+
+/**
+ * @desc    Renombrar un laboratorio o reemplazar sus alias. Al renombrarlo, el
+ *          nombre anterior queda como alias para que las listas de precios lo sigan reconociendo.
+ * @route   PUT /api/labs/:id
+ * @access  Private
+ */
+export const updateLabById = asyncHandler(async (req, res) => {
+  const previousLab = await findLabOrFail(req.params.id);
+
+  const name = req.joiBody.name ?? previousLab.name;
+  const aliases = new Set(req.joiBody.aliases ?? previousLab.aliases);
+  if (name !== previousLab.name) aliases.add(previousLab.name);
+  aliases.delete(name);
+
+  await assertNamesAvailable([name, ...aliases], previousLab._id);
+
+  const updatedLab = await Lab.findByIdAndUpdate(
+    previousLab._id,
+    { name, aliases: [...aliases] },
+    { new: true, runValidators: true }
+  ).lean();
+
+  req.audit({
+    entity: "Lab",
+    action: "update",
+    targetId: updatedLab._id,
+    before: previousLab,
+    after: updatedLab,
+  });
+
+  res.status(200).json({
+    message: "Laboratorio actualizado correctamente.",
+    data: transformLabDocument(updatedLab),
+  });
+});
+
+/**
+ * @desc    Eliminar un laboratorio sin productos ni reglas de precio asociadas.
+ * @route   DELETE /api/labs/:id
+ * @access  Private
+ */
+export const deleteLabById = asyncHandler(async (req, res) => {
+  const lab = await findLabOrFail(req.params.id);
+
+  const [hasProducts, hasRules] = await Promise.all([
+    Product.exists({ lab: lab._id }),
+    PriceRule.exists({ lab: lab._id }),
+  ]);
+  if (hasProducts || hasRules) {
+    throw new ConflictError("LAB_IN_USE");
+  }
+
+  await Lab.deleteOne({ _id: lab._id });
+
+  req.audit({
+    entity: "Lab",
+    action: "delete",
+    targetId: lab._id,
+    before: lab,
+  });
+
+  res.status(200).json({ message: "Laboratorio eliminado correctamente." });
+});
+
+/**
+ * @desc    Unir laboratorios duplicados en el de la URL: sus productos y reglas de
+ *          precio pasan a este laboratorio, sus nombres quedan como alias y se eliminan.
+ * @route   POST /api/labs/:id/merge
+ * @access  Private
+ */
+export const mergeLabs = asyncHandler(async (req, res) => {
+  const { sources } = req.joiBody;
+  if (sources.includes(req.params.id)) {
+    throw new BadRequestError("LAB_MERGE_SELF");
+  }
+
+  const target = await findLabOrFail(req.params.id);
+  const sourceLabs = await Lab.find({ _id: { $in: sources } }).lean();
+  if (sourceLabs.length !== sources.length) {
+    throw new NotFoundError("LAB_MERGE_SOURCE_NOT_FOUND");
+  }
+
+  const newAliases = [
+    ...new Set(sourceLabs.flatMap((lab) => [lab.name, ...lab.aliases])),
+  ].filter((name) => name !== target.name);
+
+  const { mergedLab, productsMoved, priceRulesMoved } =
+    await mongoose.connection.transaction(async (session) => {
+      const { modifiedCount: movedProducts } = await Product.updateMany(
+        { lab: { $in: sources } },
+        { lab: target._id },
+        { session }
+      );
+      const { modifiedCount: movedRules } = await PriceRule.updateMany(
+        { lab: { $in: sources } },
+        { lab: target._id },
+        { session }
+      );
+      await Lab.deleteMany({ _id: { $in: sources } }, { session });
+      const lab = await Lab.findByIdAndUpdate(
+        target._id,
+        { $addToSet: { aliases: { $each: newAliases } } },
+        { new: true, session }
+      ).lean();
+
+      return {
+        mergedLab: lab,
+        productsMoved: movedProducts,
+        priceRulesMoved: movedRules,
+      };
+    });
+
+  const summary = {
+    labsMerged: sourceLabs.length,
+    productsMoved,
+    priceRulesMoved,
+  };
+
+  req.audit({
+    entity: "Lab",
+    action: "merge",
+    targetId: target._id,
+    before: {
+      target,
+      sources: sourceLabs.map(({ _id, name, aliases }) => ({
+        id: _id,
+        name,
+        aliases,
+      })),
+    },
+    after: { ...mergedLab, ...summary },
+  });
+
+  res.status(200).json({
+    message: "Laboratorios unidos correctamente.",
+    data: transformLabDocument(mergedLab),
+    summary,
+  });
+});
@@ -0,0 +1,39 @@
+import express from "express";
+import {
+  createLab,
+  deleteLabById,
+  getAllLabs,
+  getLabById,
+  mergeLabs,
+  updateLabById,
+} from "./lab.controller.js";
+import {
+  createLabSchema,
+  mergeLabsSchema,
+  updateLabSchema,
+} from "./lab.validation.js";
+import { validateReqBody } from "../../../interface/middleware/joi.middleware.js";
+import { authorize } from "../../../interface/middleware/auth.middleware.js";
+import { EDITOR_ROLES } from "../../../config/roles.js";
+
+const router = express.Router();
+
+router
+  .route("/")
+  .get(getAllLabs)
+  .post(authorize(EDITOR_ROLES), validateReqBody(createLabSchema), createLab);
+
+router
+  .route("/:id")
+  .get(getLabById)
+  .put(authorize(EDITOR_ROLES), validateReqBody(updateLabSchema), updateLabById)
+  .delete(authorize(EDITOR_ROLES), deleteLabById);
+
+router.post(
+  "/:id/merge",
+  authorize(EDITOR_ROLES),
+  validateReqBody(mergeLabsSchema),
+  mergeLabs
+);
+
+export default router;
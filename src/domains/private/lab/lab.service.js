@@ -0,0 +1,91 @@
+import { Lab } from "../product/product.model.js";
+import { createRazonSocialIndex } from "../../../util/razonSocialMatcher.js";
+
+const LAB_SIMILARITY_THRESHOLD =
+  Number(process.env.LAB_SIMILARITY_THRESHOLD) || 0.6;
+
+/* lo que el matcher de clientes no considera: "LABORATORIO" casi todos lo llevan */
+const LAB_MATCHER_OPTIONS = {
+  abbreviations: { LABORATORIOS: "LABORATORIO" },
+  genericTokens: ["LABORATORIO"],
+};
+
+/**
+ * Busca los laboratorios por nombre o por alias.
+ * @param {string[]} names - Los nombres ya normalizados con cleanLabName.
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - La sesión si corre en una transacción.
+ * @returns {Promise<Map<string, { _id: ObjectId, name: string }>>} El laboratorio de cada nombre encontrado.
+ */
+export const resolveLabNames = async (names, { session } = {}) => {
+  if (names.length === 0) return new Map();
+
+  const labs = await Lab.find(
+    { $or: [{ name: { $in: names } }, { aliases: { $in: names } }] },
+    "_id name aliases",
+    { session }
+  ).lean();
+
+  const labsByName = new Map();
+  for (const lab of labs) {
+    for (const alias of lab.aliases) labsByName.set(alias, lab);
+  }
+  // El nombre propio de un laboratorio tiene prioridad sobre el alias de otro.
+  for (const lab of labs) labsByName.set(lab.name, lab);
+  return labsByName;
+};
+
+/**
+ * Sugiere laboratorios existentes para los nombres que la carga crearía,
+ * comparando contra el nombre y los alias de cada uno.
+ * @param {string[]} names - Los nombres que no existen ni como nombre ni como alias.
+ * @returns {Promise<{ name: string, suggestions: Object[] }[]>}
+ */
+export const suggestLabs = async (names) => {
+  if (names.length === 0) return [];
+
+  const labs = await Lab.find({}, "_id name aliases").lean();
+  const index = createRazonSocialIndex(
+    labs.flatMap((lab) =>
+      [lab.name, ...lab.aliases].map((name) => ({ lab, name }))
+    ),
+    (entry) => entry.name,
+    LAB_MATCHER_OPTIONS
+  );
+
+  return names.flatMap((name) => {
+    const suggestions = [];
+    const seen = new Set();
+    for (const { record, score } of index.findSimilar(name, {
+      threshold: LAB_SIMILARITY_THRESHOLD,
+    })) {
+      const id = record.lab._id.toString();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      suggestions.push({
+        id,
+        name: record.lab.name,
+        matched: record.name,
+        score,
+      });
+    }
+    return suggestions.length > 0 ? [{ name, suggestions }] : [];
+  });
+};
+
+/**
+ * Busca laboratorios, distintos de `excludeId`, que ya usen alguno de los nombres.
+ * @returns {Promise<string[]>} Los nombres en conflicto.
+ */
+export const findLabNameConflicts = async (names, excludeId) => {
+  const labs = await Lab.find(
+    {
+      ...(excludeId && { _id: { $ne: excludeId } }),
+      $or: [{ name: { $in: names } }, { aliases: { $in: names } }],
+    },
+    "name aliases"
+  ).lean();
+
+  const taken = new Set(labs.flatMap((lab) => [lab.name, ...lab.aliases]));
+  return names.filter((name) => taken.has(name));
+};
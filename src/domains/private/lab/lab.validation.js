@@ -0,0 +1,49 @@
+import Joi from "joi";
+import { cleanLabName } from "../../../util/productMigrationCleaner.js";
+
+const labName = Joi.string()
+  .trim()
+  .max(100)
+  .custom((value) => cleanLabName(value), "Limpieza de laboratorio");
+
+const aliases = Joi.array().items(labName).unique().messages({
+  "array.unique": "Los alias no pueden repetirse.",
+});
+
+const objectId = Joi.string().hex().length(24).messages({
+  "string.hex": "{{#label}} debe ser un ID de laboratorio válido.",
+  "string.length": "{{#label}} debe ser un ID de laboratorio válido.",
+});
+
+/**
+ * Schema para la creación de un laboratorio.
+ */
+export const createLabSchema = Joi.object({
+  name: labName.required().messages({
+    "any.required": `"name" es un campo obligatorio.`,
+  }),
+  aliases: aliases.default([]),
+});
+
+/**
+ * Schema para renombrar un laboratorio o reemplazar sus alias.
+ */
+export const updateLabSchema = Joi.object({
+  name: labName,
+  aliases,
+})
+  .min(1)
+  .messages({
+    "object.min": "Debe proporcionar al menos un campo para actualizar.",
+  });
+
+/**
+ * Schema para unir laboratorios duplicados en el de la URL.
+ */
+export const mergeLabsSchema = Joi.object({
+  sources: Joi.array().items(objectId).min(1).unique().required().messages({
+    "array.min": "Debe indicar al menos un laboratorio a unir.",
+    "array.unique": "Los laboratorios a unir no pueden repetirse.",
+    "any.required": `"sources" es un campo obligatorio.`,
+  }),
+});
@@ -0,0 +1,280 @@
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import MigrationBatch from "./migration.model.js";
+import { actorFromUser } from "./migration.service.js";
+import { pickPrices, recordPriceChanges } from "../price/price.service.js";
+import { Lab, Product } from "../product/product.model.js";
+import Order from "../order/order.model.js";
+import PriceRule from "../priceRule/priceRule.model.js";
+import { StockLevel } from "../inventory/inventory.model.js";
+import { getImageBucket } from "../../../interface/middleware/bucket.middleware.js";
+import { ConflictError, NotFoundError } from "../../../util/errorHandler.js";
+import { buildPageResponse } from "../../../util/pagination.js";
+import { revokeSubjectSessions } from "../../../util/sessionStore.js";
+
+/* versión resumida para el listado: cantidades en lugar de las referencias */
+const transformBatchSummary = (doc) => {
+  const { _id, __v, created, updated, createdLabs, ...rest } = doc;
+  return {
+    id: _id.toString(),
+    ...rest,
+    createdCount: created.length,
+    updatedCount: updated.length,
+    createdLabsCount: createdLabs.length,
+  };
+};
+
+/**
+ * @desc    Obtener el historial de migraciones confirmadas.
+ * @route   GET /api/migrations
+ * @access  Private
+ */
+export const getAllMigrations = asyncHandler(async (req, res) => {
+  const { page, limit, entity, status } = req.joiQuery;
+
+  const filter = {};
+  if (entity) filter.entity = entity;
+  if (status) filter.status = status;
+
+  const [batches, total] = await Promise.all([
+    MigrationBatch.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    MigrationBatch.countDocuments(filter),
+  ]);
+
+  const items = batches.map((batch) => transformBatchSummary(batch));
+  res.status(200).json(buildPageResponse({ items, total, page, limit }));
+});
+
+/**
+ * @desc    Obtener una migración con las referencias a los registros creados y modificados.
+ * @route   GET /api/migrations/:id
+ * @access  Private
+ */
+export const getMigrationById = asyncHandler(async (req, res) => {
+  const batch = await MigrationBatch.findById(req.params.id).lean();
+  if (!batch) {
+    throw new NotFoundError("MIGRATION_BATCH_NOT_FOUND");
+  }
+
+  // Los valores pueden incluir el hash de la contraseña para poder revertirla.
+  const updated = batch.updated.map(({ id, before, after }) => {
+    const { password, ...visibleBefore } = before || {};
+    const { password: newPassword, ...visibleAfter } = after || {};
+    return { id, before: visibleBefore, after: visibleAfter };
+  });
+
+  const { _id, __v, ...rest } = batch;
+  res.status(200).json({ id: _id.toString(), ...rest, updated });
+});
+
+/* compara valores guardados en la migración con los actuales; los ObjectId y las fechas como en JSON */
+const sameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Los productos creados por la migración que ya se usan en pedidos, stock, reglas
+ * de precio o imágenes; borrarlos dejaría esas referencias colgando.
+ * @returns {Promise<Map<string, string>>} El motivo por id de producto.
+ */
+const findReferencedProducts = async (productIds, session) => {
+  const products = await Product.find({ _id: { $in: productIds } }, "code", {
+    session,
+  }).lean();
+  const codes = products.map((product) => product.code);
+
+  // En secuencia: una transacción no admite operaciones en paralelo.
+  const ordered = await Order.distinct("items.product", {
+    "items.product": { $in: productIds },
+  }).session(session);
+  const stocked = await StockLevel.distinct("product", {
+    product: { $in: productIds },
+  }).session(session);
+  const ruled = await PriceRule.distinct("code", {
+    code: { $in: codes },
+  }).session(session);
+  const images = await getImageBucket()
+    .find({ "metadata.code": { $in: codes } })
+    .toArray();
+
+  const reasons = [
+    [new Set(ordered.map(String)), "id", "El producto está en pedidos."],
+    [new Set(stocked.map(String)), "id", "El producto tiene stock."],
+    [new Set(ruled), "code", "El producto tiene reglas de precio."],
+    [
+      new Set(images.map((file) => file.metadata.code)),
+      "code",
+      "El producto tiene imágenes.",
+    ],
+  ];
+
+  const referenced = new Map();
+  for (const { _id, code } of products) {
+    const keys = { id: _id.toString(), code };
+    const match = reasons.find(([used, key]) => used.has(keys[key]));
+    if (match) referenced.set(keys.id, match[2]);
+  }
+  return referenced;
+};
+
+/**
+ * @desc    Revierte una migración. Los clientes creados se eliminan con borrado lógico;
+ *          los productos creados se borran salvo que ya se usen en pedidos, stock, reglas
+ *          de precio o imágenes. Los modificados vuelven a sus valores previos solo si
+ *          siguen con los valores de la migración. Lo que no se revierte se informa en
+ *          `conflicts`. Los laboratorios creados solo se borran si quedaron sin productos.
+ * @route   POST /api/migrations/:id/rollback
+ * @access  Private
+ */
+export const rollbackMigration = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const result = await mongoose.connection.transaction(async (session) => {
+    // Se marca primero como revertida para que dos pedidos simultáneos no la apliquen dos veces.
+    const batch = await MigrationBatch.findOneAndUpdate(
+      { _id: id, status: "applied" },
+      {
+        status: "rolled_back",
+        rolledBackAt: new Date(),
+        rolledBackBy: actorFromUser(req.user),
+      },
+      { new: true, session }
+    );
+
+    if (!batch) {
+      const exists = await MigrationBatch.exists({ _id: id }).session(session);
+      if (!exists) throw new NotFoundError("MIGRATION_BATCH_NOT_FOUND");
+      throw new ConflictError("MIGRATION_ALREADY_ROLLED_BACK");
+    }
+
+    const Model = mongoose.model(batch.entity);
+    const conflicts = [];
+
+    let deletedCount = 0;
+    if (batch.entity === "Client") {
+      ({ modifiedCount: deletedCount } = await Model.updateMany(
+        { _id: { $in: batch.created } },
+        { deletedAt: new Date(), active: false },
+        { session }
+      ));
+    } else if (batch.created.length > 0) {
+      const referenced = await findReferencedProducts(batch.created, session);
+      for (const [docId, reason] of referenced) {
+        conflicts.push({ id: docId, reason });
+      }
+      ({ deletedCount } = await Model.deleteMany(
+        {
+          _id: {
+            $in: batch.created.filter(
+              (docId) => !referenced.has(docId.toString())
+            ),
+          },
+        },
+        { session }
+      ));
+    }
+
+    // Solo se restauran los que siguen con los valores que dejó la migración.
+    const currentDocs = await Model.find(
+      { _id: { $in: batch.updated.map(({ id: docId }) => docId) } },
+      batch.entity === "Client" ? "+password" : null,
+      { session }
+    )
+      .setOptions(batch.entity === "Client" ? { withDeleted: true } : {})
+      .lean();
+    const currentById = new Map(
+      currentDocs.map((doc) => [doc._id.toString(), doc])
+    );
+
+    const restorable = [];
+    for (const entry of batch.updated) {
+      const current = currentById.get(entry.id.toString());
+      if (!current) {
+        conflicts.push({ id: entry.id, reason: "El registro ya no existe." });
+      } else if (
+        !entry.after ||
+        Object.entries(entry.after).some(
+          ([field, value]) => !sameValue(current[field], value)
+        )
+      ) {
+        conflicts.push({
+          id: entry.id,
+          reason: "El registro fue modificado después de la migración.",
+        });
+      } else {
+        restorable.push({ id: entry.id, before: entry.before, current });
+      }
+    }
+
+    let restoredCount = 0;
+    if (restorable.length > 0) {
+      const { modifiedCount } = await Model.bulkWrite(
+        restorable.map(({ id: docId, before }) => ({
+          updateOne: { filter: { _id: docId }, update: { $set: before } },
+        })),
+        { session }
+      );
+      restoredCount = modifiedCount;
+    }
+
+    // Los precios que se restauran también quedan en el historial.
+    if (batch.entity === "Product") {
+      await recordPriceChanges(
+        restorable.map(({ current, before }) => ({
+          product: current._id,
+          code: current.code,
+          from: current,
+          to: pickPrices(before),
+        })),
+        { source: "rollback", actor: actorFromUser(req.user), session }
+      );
+    }
+
+    let deletedLabsCount = 0;
+    if (batch.createdLabs.length > 0) {
+      const labsInUse = await Product.distinct("lab", {
+        lab: { $in: batch.createdLabs },
+      }).session(session);
+      const inUse = new Set(labsInUse.map((labId) => labId.toString()));
+      const removableLabs = batch.createdLabs.filter(
+        (labId) => !inUse.has(labId.toString())
+      );
+      ({ deletedCount: deletedLabsCount } = await Lab.deleteMany(
+        { _id: { $in: removableLabs } },
+        { session }
+      ));
+    }
+
+    return { batch, deletedCount, restoredCount, deletedLabsCount, conflicts };
+  });
+
+  if (result.batch.entity === "Client") {
+    await Promise.all(
+      result.batch.created.map((clientId) =>
+        revokeSubjectSessions("client", clientId)
+      )
+    );
+  }
+
+  req.audit({
+    entity: result.batch.entity,
+    action: "rollback",
+    targetId: result.batch._id,
+    diff: {
+      status: { from: "applied", to: "rolled_back" },
+    },
+  });
+
+  res.status(200).json({
+    message: "Migración revertida correctamente.",
+    data: {
+      deletedCount: result.deletedCount,
+      restoredCount: result.restoredCount,
+      deletedLabsCount: result.deletedLabsCount,
+      conflicts: result.conflicts,
+    },
+  });
+});
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const actorSchema = new mongoose.Schema(
+  {
+    id: { type: String },
+    username: { type: String },
+    role: { type: String },
+  },
+  { _id: false }
+);
+
+const migrationBatchSchema = new mongoose.Schema(
+  {
+    // nombre del modelo afectado; también resuelve las referencias de created/updated
+    entity: { type: String, enum: ["Client", "Product"], required: true },
+    filename: { type: String },
+    uploadedBy: { type: actorSchema },
+    summary: { type: mongoose.Schema.Types.Mixed },
+    created: [{ type: mongoose.Schema.Types.ObjectId, refPath: "entity" }],
+    updated: [
+      {
+        _id: false,
+        id: { type: mongoose.Schema.Types.ObjectId, refPath: "entity" },
+        before: { type: mongoose.Schema.Types.Mixed },
+        // los valores que dejó la migración; el rollback solo restaura si siguen iguales
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    createdLabs: [{ type: mongoose.Schema.Types.ObjectId, ref: "Lab" }],
+    status: {
+      type: String,
+      enum: ["applied", "rolled_back"],
+      default: "applied",
+    },
+    rolledBackAt: { type: Date },
+    rolledBackBy: { type: actorSchema },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+migrationBatchSchema.index({ entity: 1, createdAt: -1 });
+
+const MigrationBatch = mongoose.model("MigrationBatch", migrationBatchSchema);
+
+export default MigrationBatch;
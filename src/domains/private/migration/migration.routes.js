@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  getAllMigrations,
+  getMigrationById,
+  rollbackMigration,
+} from "./migration.controller.js";
+import { validateReqQuery } from "../../../interface/middleware/joi.middleware.js";
+import { authorize } from "../../../interface/middleware/auth.middleware.js";
+import { EDITOR_ROLES } from "../../../config/roles.js";
+import { listMigrationsQuerySchema } from "./migration.validation.js";
+
+const router = express.Router();
+
+router.get("/", validateReqQuery(listMigrationsQuerySchema), getAllMigrations);
+router.get("/:id", getMigrationById);
+router.post("/:id/rollback", authorize(EDITOR_ROLES), rollbackMigration);
+
+export default router;
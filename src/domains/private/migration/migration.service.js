@@ -0,0 +1,49 @@
+import MigrationBatch from "./migration.model.js";
+
+/* datos del usuario autenticado que se guardan como autor */
+export const actorFromUser = (user) =>
+  user ? { id: user.id, username: user.username, role: user.role } : undefined;
+
+/**
+ * Registra una migración confirmada para poder consultarla o revertirla.
+ * @param {Object} batch
+ * @param {"Client"|"Product"} batch.entity - El modelo afectado.
+ * @param {Object} batch.user - El usuario que confirmó la carga (req.user).
+ * @param {string} [batch.filename] - El archivo de origen.
+ * @param {Object} batch.summary - El resumen que se devolvió al usuario.
+ * @param {ObjectId[]} [batch.created] - Los documentos creados.
+ * @param {{ id: ObjectId, before: Object, after: Object }[]} [batch.updated] - Los documentos modificados,
+ *   con sus valores previos y los que dejó la migración.
+ * @param {ObjectId[]} [batch.createdLabs] - Los laboratorios creados por la carga de productos.
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - La sesión si la carga corre en una transacción.
+ * @returns {Promise<MigrationBatch>}
+ */
+export const recordMigrationBatch = async (
+  {
+    entity,
+    user,
+    filename,
+    summary,
+    created = [],
+    updated = [],
+    createdLabs = [],
+  },
+  { session } = {}
+) => {
+  const [batch] = await MigrationBatch.create(
+    [
+      {
+        entity,
+        filename,
+        uploadedBy: actorFromUser(user),
+        summary,
+        created,
+        updated,
+        createdLabs,
+      },
+    ],
+    { session }
+  );
+  return batch;
+};
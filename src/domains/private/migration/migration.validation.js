@@ -0,0 +1,11 @@
+import Joi from "joi";
+import { paginationQuery } from "../../../util/pagination.js";
+
+/**
+ * Schema para los filtros del historial de migraciones.
+ */
+export const listMigrationsQuerySchema = Joi.object({
+  ...paginationQuery,
+  entity: Joi.string().valid("Client", "Product"),
+  status: Joi.string().valid("applied", "rolled_back"),
+});
@@ -0,0 +1,310 @@
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import Order, { ORDER_TRANSITIONS } from "./order.model.js";
+import Client from "../client/client.model.js";
+import { Product } from "../product/product.model.js";
+import { actorFromUser } from "../migration/migration.service.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../../../util/errorHandler.js";
+import { buildPageResponse, parseSort } from "../../../util/pagination.js";
+import ROLES, { EDITOR_ROLES } from "../../../config/roles.js";
+import {
+  dispatchOrderItems,
+  releaseOrderItems,
+  reserveOrderItems,
+} from "../inventory/inventory.service.js";
+import {
+  loadClientRules,
+  resolvePrice,
+} from "../priceRule/priceRule.service.js";
+
+/*
+ * Cambios de estado que puede hacer cada tipo de usuario. El cliente arma y envía
+ * su pedido y puede cancelarlo mientras nadie lo confirmó; el resto lo hace el panel.
+ */
+const CLIENT_TRANSITIONS = {
+  draft: ["submitted", "cancelled"],
+  submitted: ["cancelled"],
+};
+
+const EDITOR_TRANSITIONS = {
+  submitted: ["confirmed", "cancelled"],
+  confirmed: ["dispatched", "cancelled"],
+};
+
+const transitionsFor = (role) => {
+  if (role === ROLES.client) return CLIENT_TRANSITIONS;
+  if (EDITOR_ROLES.includes(role)) return EDITOR_TRANSITIONS;
+  return {};
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Arma los ítems del pedido copiando del catálogo la descripción y el laboratorio
+ * de cada producto, con el precio neto que resuelven las reglas del cliente.
+ * @param {{ code: string, quantity: number }[]} items - El carrito recibido.
+ * @param {string} codClient - El código del cliente del pedido.
+ */
+const buildOrderItems = async (items, codClient) => {
+  const [products, rules] = await Promise.all([
+    Product.find({ code: { $in: items.map((item) => item.code) } })
+      .populate("lab", "name")
+      .lean(),
+    loadClientRules(codClient),
+  ]);
+  const productsByCode = new Map(products.map((p) => [p.code, p]));
+
+  const missingCodes = items
+    .map((item) => item.code)
+    .filter((code) => !productsByCode.has(code));
+  if (missingCodes.length > 0) {
+    throw new BadRequestError("ORDER_UNKNOWN_PRODUCTS", {
+      params: { codes: missingCodes.join(", ") },
+    });
+  }
+
+  const prices = items.map(({ code, quantity }) =>
+    resolvePrice(productsByCode.get(code), rules, quantity)
+  );
+  const unpricedCodes = items
+    .filter((item, index) => prices[index] === null)
+    .map((item) => item.code);
+  if (unpricedCodes.length > 0) {
+    throw new BadRequestError("ORDER_PRODUCT_WITHOUT_PRICE", {
+      params: { codes: unpricedCodes.join(", ") },
+    });
+  }
+
+  return items.map(({ code, quantity }, index) => {
+    const product = productsByCode.get(code);
+    const {
+      net_price: unitPrice,
+      iva_rate: ivaRate,
+      appliedRules,
+    } = prices[index];
+    const subtotal = roundMoney(unitPrice * quantity);
+    const ivaAmount = roundMoney((subtotal * ivaRate) / 100);
+
+    return {
+      product: product._id,
+      code,
+      desc: product.desc,
+      lab: product.lab?.name,
+      quantity,
+      unit_price: unitPrice,
+      price_rules: appliedRules.map((rule) => rule.id),
+      iva_rate: ivaRate,
+      subtotal,
+      iva_amount: ivaAmount,
+      total: roundMoney(subtotal + ivaAmount),
+    };
+  });
+};
+
+/* totales del pedido a partir de sus ítems */
+const sumOrderItems = (items) => ({
+  subtotal: roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0)),
+  iva_amount: roundMoney(items.reduce((sum, item) => sum + item.iva_amount, 0)),
+  total: roundMoney(items.reduce((sum, item) => sum + item.total, 0)),
+});
+
+/* los clientes solo ven sus propios pedidos */
+const ownerFilter = (user) =>
+  user.role === ROLES.client ? { client: user.id } : {};
+
+const findOrder = async (id, user) => {
+  const order = await Order.findOne({ _id: id, ...ownerFilter(user) });
+  if (!order) {
+    throw new NotFoundError("ORDER_NOT_FOUND");
+  }
+  return order;
+};
+
+/* convierte _id a id solo para consistencia */
+const transformOrderDocument = (doc) => {
+  const plainObject = doc.toObject ? doc.toObject() : doc;
+  const { _id, __v, ...rest } = plainObject;
+  return { id: _id.toString(), ...rest };
+};
+
+/**
+ * @desc    Obtener los pedidos paginados. Los clientes solo ven los suyos.
+ * @route   GET /api/orders
+ * @access  Private
+ */
+export const getAllOrders = asyncHandler(async (req, res) => {
+  const { page, limit, sort, status, client } = req.joiQuery;
+
+  const filter = { ...ownerFilter(req.user) };
+  if (status) filter.status = status;
+  if (client && req.user.role !== ROLES.client) filter.client = client;
+
+  const [orders, total] = await Promise.all([
+    Order.find(filter)
+      .sort({ ...parseSort(sort), _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Order.countDocuments(filter),
+  ]);
+
+  const items = orders.map((order) => transformOrderDocument(order));
+  res.status(200).json(buildPageResponse({ items, total, page, limit }));
+});
+
+/**
+ * @desc    Obtener un pedido por su ID.
+ * @route   GET /api/orders/:id
+ * @access  Private
+ */
+export const getOrderById = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.id, req.user);
+  res.status(200).json(transformOrderDocument(order));
+});
+
+/**
+ * @desc    Crear un pedido en borrador a partir de códigos de producto y cantidades.
+ * @route   POST /api/orders
+ * @access  Private (clientes)
+ */
+export const createOrder = asyncHandler(async (req, res) => {
+  const { items, notes } = req.joiBody;
+
+  const client = await Client.findById(req.user.id, "cod_client").lean();
+  if (!client) {
+    throw new NotFoundError("CLIENT_NOT_FOUND");
+  }
+
+  const orderItems = await buildOrderItems(items, client.cod_client);
+  const order = await Order.create({
+    client: client._id,
+    cod_client: client.cod_client,
+    items: orderItems,
+    ...sumOrderItems(orderItems),
+    notes,
+    statusHistory: [{ to: "draft", by: actorFromUser(req.user) }],
+  });
+
+  req.audit({
+    entity: "Order",
+    action: "create",
+    targetId: order._id,
+    after: { status: order.status, total: order.total },
+  });
+
+  res.status(201).json({
+    message: "Pedido creado correctamente.",
+    data: transformOrderDocument(order),
+  });
+});
+
+/**
+ * @desc    Modificar el carrito o las notas de un pedido en borrador.
+ *          Los precios se vuelven a tomar del catálogo.
+ * @route   PUT /api/orders/:id
+ * @access  Private (clientes)
+ */
+export const updateOrderById = asyncHandler(async (req, res) => {
+  const { items, notes } = req.joiBody;
+  const order = await findOrder(req.params.id, req.user);
+
+  if (order.status !== "draft") {
+    throw new ConflictError("ORDER_NOT_EDITABLE");
+  }
+
+  const before = { total: order.total, notes: order.notes };
+
+  if (items) {
+    const orderItems = await buildOrderItems(items, order.cod_client);
+    order.items = orderItems;
+    Object.assign(order, sumOrderItems(orderItems));
+  }
+  if (notes !== undefined) order.notes = notes;
+  await order.save();
+
+  req.audit({
+    entity: "Order",
+    action: "update",
+    targetId: order._id,
+    before,
+    after: { total: order.total, notes: order.notes },
+  });
+
+  res.status(200).json({
+    message: "Pedido actualizado correctamente.",
+    data: transformOrderDocument(order),
+  });
+});
+
+/**
+ * @desc    Cambiar el estado de un pedido. El cliente puede enviarlo o cancelarlo;
+ *          el panel lo confirma, lo despacha o lo cancela. Al confirmarlo se reserva
+ *          el stock, al despacharlo se registra la venta y si se cancela una vez
+ *          confirmado se libera la reserva.
+ * @route   POST /api/orders/:id/status
+ * @access  Private
+ */
+export const changeOrderStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.joiBody;
+  const order = await findOrder(req.params.id, req.user);
+  const from = order.status;
+
+  if (!ORDER_TRANSITIONS[from].includes(status)) {
+    throw new ConflictError("ORDER_INVALID_TRANSITION", {
+      params: { from, to: status },
+    });
+  }
+  if (!(transitionsFor(req.user.role)[from] || []).includes(status)) {
+    throw new ForbiddenError("ORDER_TRANSITION_FORBIDDEN", {
+      params: { to: status },
+    });
+  }
+
+  const actor = actorFromUser(req.user);
+  const updated = await mongoose.connection.transaction(async (session) => {
+    const set = { status };
+    if (status === "confirmed") {
+      const warehouses = await reserveOrderItems(order.items, { session });
+      warehouses.forEach((warehouse, index) => {
+        set[`items.${index}.warehouse`] = warehouse;
+      });
+    }
+
+    // Se condiciona al estado leído para que dos cambios simultáneos no se pisen.
+    const result = await Order.findOneAndUpdate(
+      { _id: order._id, status: from },
+      {
+        $set: set,
+        $push: { statusHistory: { from, to: status, by: actor, reason } },
+      },
+      { new: true, session }
+    );
+    if (!result) {
+      throw new ConflictError("ORDER_STATUS_CHANGED");
+    }
+
+    if (status === "dispatched") {
+      await dispatchOrderItems(result, { actor, session });
+    } else if (status === "cancelled" && from === "confirmed") {
+      await releaseOrderItems(result.items, { session });
+    }
+    return result;
+  });
+
+  req.audit({
+    entity: "Order",
+    action: "status_change",
+    targetId: order._id,
+    diff: { status: { from, to: status } },
+  });
+
+  res.status(200).json({
+    message: "Estado del pedido actualizado.",
+    data: transformOrderDocument(updated),
+  });
+});
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+/*
+ * Estados del pedido y a cuáles puede pasar desde cada uno.
+ * "dispatched" y "cancelled" son finales.
+ */
+export const ORDER_TRANSITIONS = {
+  draft: ["submitted", "cancelled"],
+  submitted: ["confirmed", "cancelled"],
+  confirmed: ["dispatched", "cancelled"],
+  dispatched: [],
+  cancelled: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const actorSchema = new mongoose.Schema(
+  {
+    id: { type: String },
+    username: { type: String },
+    role: { type: String },
+  },
+  { _id: false }
+);
+
+/* los datos del producto se copian al armar el carrito: el pedido no cambia si cambia el catálogo */
+const orderItemSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+    code: { type: String, required: true },
+    desc: { type: String },
+    lab: { type: String },
+    // depósito del que se reservó el ítem al confirmar el pedido
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: "Warehouse" },
+    quantity: { type: Number, required: true, min: 1 },
+    unit_price: { type: Number, required: true },
+    price_rules: [{ type: mongoose.Schema.Types.ObjectId, ref: "PriceRule" }],
+    iva_rate: { type: Number, required: true },
+    subtotal: { type: Number, required: true },
+    iva_amount: { type: Number, required: true },
+    total: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: actorSchema },
+    reason: { type: String },
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    cod_client: { type: String, required: true },
+    status: { type: String, enum: ORDER_STATUSES, default: "draft" },
+    items: [orderItemSchema],
+    subtotal: { type: Number, default: 0 },
+    iva_amount: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    notes: { type: String },
+    statusHistory: [statusChangeSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+orderSchema.index({ client: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
+const Order = mongoose.model("Order", orderSchema);
+
+export default Order;
@@ -0,0 +1,48 @@
+import express from "express";
+import {
+  changeOrderStatus,
+  createOrder,
+  getAllOrders,
+  getOrderById,
+  updateOrderById,
+} from "./order.controller.js";
+import {
+  validateReqBody,
+  validateReqQuery,
+} from "../../../interface/middleware/joi.middleware.js";
+import { authorize } from "../../../interface/middleware/auth.middleware.js";
+import ROLES from "../../../config/roles.js";
+import {
+  createOrderSchema,
+  listOrdersQuerySchema,
+  orderStatusSchema,
+  updateOrderSchema,
+} from "./order.validation.js";
+
+const router = express.Router();
+
+router
+  .route("/")
+  .get(validateReqQuery(listOrdersQuerySchema), getAllOrders)
+  .post(
+    authorize(ROLES.client),
+    validateReqBody(createOrderSchema),
+    createOrder
+  );
+
+router
+  .route("/:id")
+  .get(getOrderById)
+  .put(
+    authorize(ROLES.client),
+    validateReqBody(updateOrderSchema),
+    updateOrderById
+  );
+
+router.post(
+  "/:id/status",
+  validateReqBody(orderStatusSchema),
+  changeOrderStatus
+);
+
+export default router;
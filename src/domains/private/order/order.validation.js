@@ -0,0 +1,81 @@
+import Joi from "joi";
+import { paginationQuery, sortQuery } from "../../../util/pagination.js";
+import { ORDER_STATUSES } from "./order.model.js";
+
+const MAX_QUANTITY = 10000;
+
+const itemsSchema = Joi.array()
+  .items(
+    Joi.object({
+      code: Joi.string().trim().required().messages({
+        "any.required": `"code" es un campo obligatorio.`,
+      }),
+      quantity: Joi.number()
+        .integer()
+        .min(1)
+        .max(MAX_QUANTITY)
+        .required()
+        .messages({
+          "number.min": `"quantity" debe ser al menos 1.`,
+          "number.max": `"quantity" no puede superar ${MAX_QUANTITY}.`,
+          "any.required": `"quantity" es un campo obligatorio.`,
+        }),
+    })
+  )
+  .min(1)
+  .unique("code")
+  .messages({
+    "array.min": "El pedido debe tener al menos un producto.",
+    "array.unique": "Cada producto puede aparecer una sola vez en el pedido.",
+  });
+
+/**
+ * Schema para crear un pedido (carrito) con códigos de producto y cantidades.
+ */
+export const createOrderSchema = Joi.object({
+  items: itemsSchema.required(),
+  notes: Joi.string().trim().max(500).allow(""),
+});
+
+/**
+ * Schema para modificar el carrito de un pedido en borrador.
+ */
+export const updateOrderSchema = Joi.object({
+  items: itemsSchema,
+  notes: Joi.string().trim().max(500).allow(""),
+})
+  .min(1)
+  .messages({
+    "object.min": "Debe enviar al menos un campo para actualizar.",
+  });
+
+/**
+ * Schema para cambiar el estado de un pedido.
+ */
+export const orderStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid(...ORDER_STATUSES)
+    .required()
+    .messages({
+      "any.only": `"status" debe ser uno de: ${ORDER_STATUSES.join(", ")}.`,
+      "any.required": `"status" es un campo obligatorio.`,
+    }),
+  reason: Joi.string().trim().max(500).allow(""),
+});
+
+/**
+ * Schema para los filtros del listado de pedidos.
+ */
+export const listOrdersQuerySchema = Joi.object({
+  ...paginationQuery,
+  sort: sortQuery(["createdAt", "updatedAt", "total", "status"]),
+  status: Joi.string()
+    .valid(...ORDER_STATUSES)
+    .messages({
+      "any.only": `"status" debe ser uno de: ${ORDER_STATUSES.join(", ")}.`,
+    }),
+  client: Joi.string().hex().length(24).messages({
+    "string.hex": `"client" debe ser un ID de cliente válido.`,
+    "string.length": `"client" debe ser un ID de cliente válido.`,
+  }),
+});
@@ -0,0 +1,128 @@
+import asyncHandler from "express-async-handler";
+import { PriceHistory, ScheduledPriceChange } from "./price.model.js";
+import { PRICE_FIELDS, pickPrices } from "./price.service.js";
+import { Product } from "../product/product.model.js";
+import { actorFromUser } from "../migration/migration.service.js";
+import { ConflictError, NotFoundError } from "../../../util/errorHandler.js";
+import { buildPageResponse } from "../../../util/pagination.js";
+
+const findProductByCode = async (code) => {
+  const product = await Product.findOne({ code }).lean();
+  if (!product) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND", { params: { code } });
+  }
+  return product;
+};
+
+/* convierte _id a id en las entradas del historial y los cambios programados */
+const transformPriceDocument = ({ _id, __v, product, ...rest }) => ({
+  id: _id.toString(),
+  ...rest,
+});
+
+/**
+ * @desc    Obtener los precios actuales, el historial paginado y los cambios programados pendientes.
+ * @route   GET /api/products/:code/prices
+ * @access  Private
+ */
+export const getProductPrices = asyncHandler(async (req, res) => {
+  const { page, limit } = req.joiQuery;
+  const product = await findProductByCode(req.params.code);
+
+  const [history, total, scheduled] = await Promise.all([
+    PriceHistory.find({ product: product._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PriceHistory.countDocuments({ product: product._id }),
+    ScheduledPriceChange.find({ product: product._id, status: "pending" })
+      .sort({ effectiveFrom: 1 })
+      .lean(),
+  ]);
+
+  res.status(200).json({
+    code: product.code,
+    current: pickPrices(product),
+    scheduled: scheduled.map(transformPriceDocument),
+    history: buildPageResponse({
+      items: history.map(transformPriceDocument),
+      total,
+      page,
+      limit,
+    }),
+  });
+});
+
+/**
+ * @desc    Programar un cambio de precio que se aplica en `effectiveFrom`.
+ * @route   POST /api/products/:code/prices/scheduled
+ * @access  Private
+ */
+export const schedulePriceChange = asyncHandler(async (req, res) => {
+  const { effectiveFrom, ...newPrices } = req.joiBody;
+  const product = await findProductByCode(req.params.code);
+
+  const prices = Object.fromEntries(
+    PRICE_FIELDS.filter((field) => newPrices[field] !== undefined).map(
+      (field) => [field, newPrices[field]]
+    )
+  );
+
+  const change = await ScheduledPriceChange.create({
+    product: product._id,
+    code: product.code,
+    prices,
+    effectiveFrom,
+    createdBy: actorFromUser(req.user),
+  });
+
+  req.audit({
+    entity: "Product",
+    action: "schedule_price_change",
+    targetId: product._id,
+    after: { effectiveFrom, ...prices },
+  });
+
+  res.status(201).json({
+    message: "Cambio de precio programado.",
+    data: transformPriceDocument(change.toObject()),
+  });
+});
+
+/**
+ * @desc    Cancelar un cambio de precio programado que todavía no se aplicó.
+ * @route   DELETE /api/products/:code/prices/scheduled/:id
+ * @access  Private
+ */
+export const cancelScheduledPriceChange = asyncHandler(async (req, res) => {
+  const { code, id } = req.params;
+
+  const change = await ScheduledPriceChange.findOneAndUpdate(
+    { _id: id, code, status: "pending" },
+    {
+      status: "cancelled",
+      cancelledAt: new Date(),
+      cancelledBy: actorFromUser(req.user),
+    },
+    { new: true }
+  ).lean();
+
+  if (!change) {
+    const exists = await ScheduledPriceChange.exists({ _id: id, code });
+    if (!exists) throw new NotFoundError("PRICE_CHANGE_NOT_FOUND");
+    throw new ConflictError("PRICE_CHANGE_NOT_PENDING");
+  }
+
+  req.audit({
+    entity: "Product",
+    action: "cancel_price_change",
+    targetId: change.product,
+    diff: { status: { from: "pending", to: "cancelled" } },
+  });
+
+  res.status(200).json({
+    message: "Cambio de precio cancelado.",
+    data: transformPriceDocument(change),
+  });
+});
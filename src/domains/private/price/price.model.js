@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+const actorSchema = new mongoose.Schema(
+  {
+    id: { type: String },
+    username: { type: String },
+    role: { type: String },
+  },
+  { _id: false }
+);
+
+const pricesSchema = new mongoose.Schema(
+  {
+    medinor_price: { type: Number },
+    public_price: { type: Number },
+    price: { type: Number },
+  },
+  { _id: false }
+);
+
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    code: { type: String, required: true },
+    // null cuando el producto se creó con estos precios
+    from: { type: pricesSchema, default: null },
+    to: { type: pricesSchema, required: true },
+    source: {
+      type: String,
+      enum: ["migration", "scheduled", "rollback", "manual"],
+      required: true,
+    },
+    changedBy: { type: actorSchema },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+priceHistorySchema.index({ code: 1, createdAt: -1 });
+
+const scheduledPriceChangeSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    code: { type: String, required: true },
+    // solo los precios que cambian
+    prices: { type: pricesSchema, required: true },
+    effectiveFrom: { type: Date, required: true },
+    status: {
+      type: String,
+      // "applying": tomado por el scheduler, todavía sin aplicar
+      enum: ["pending", "applying", "applied", "cancelled", "failed"],
+      default: "pending",
+    },
+    createdBy: { type: actorSchema },
+    claimedAt: { type: Date },
+    appliedAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: actorSchema },
+    error: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+scheduledPriceChangeSchema.index({ status: 1, effectiveFrom: 1 });
+scheduledPriceChangeSchema.index({ code: 1, effectiveFrom: 1 });
+
+export const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+export const ScheduledPriceChange = mongoose.model(
+  "ScheduledPriceChange",
+  scheduledPriceChangeSchema
+);
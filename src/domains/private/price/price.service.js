@@ -0,0 +1,165 @@
+import { PriceHistory, ScheduledPriceChange } from "./price.model.js";
+import { Product } from "../product/product.model.js";
+import { writeAuditEntries } from "../audit/audit.service.js";
+
+export const PRICE_FIELDS = ["medinor_price", "public_price", "price"];
+
+const SCHEDULER_INTERVAL_MS =
+  Number(process.env.PRICE_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+/* tiempo tras el cual un cambio que quedó "applying" se considera interrumpido */
+const STALE_CLAIM_MS =
+  Number(process.env.PRICE_CHANGE_STALE_CLAIM_MS) || 10 * 60 * 1000;
+
+/* los precios de un producto o de una fila, sin el resto de los campos; null si no tiene */
+export const pickPrices = (source) =>
+  Object.fromEntries(
+    PRICE_FIELDS.map((field) => [field, source[field] ?? null])
+  );
+
+const pricesChanged = (from, to) => {
+  if (!from) return true;
+  const before = pickPrices(from);
+  const after = pickPrices(to);
+  return PRICE_FIELDS.some((field) => before[field] !== after[field]);
+};
+
+/**
+ * Registra en el historial los cambios de precio. Ignora las entradas cuyos
+ * precios no cambiaron, así se puede llamar con todos los productos guardados.
+ * @param {{ product: ObjectId, code: string, from: Object|null, to: Object }[]} changes
+ * @param {Object} options
+ * @param {"migration"|"scheduled"|"rollback"|"manual"} options.source - El origen del cambio.
+ * @param {Object} [options.actor] - El usuario que lo hizo, ver actorFromUser.
+ * @param {ClientSession} [options.session] - La sesión si el cambio corre en una transacción.
+ */
+export const recordPriceChanges = async (
+  changes,
+  { source, actor, session }
+) => {
+  const documents = changes
+    .filter(({ from, to }) => pricesChanged(from, to))
+    .map(({ product, code, from, to }) => ({
+      product,
+      code,
+      from: from ? pickPrices(from) : null,
+      to: pickPrices(to),
+      source,
+      changedBy: actor,
+    }));
+
+  if (documents.length === 0) return;
+  await PriceHistory.insertMany(documents, { session });
+};
+
+/* aplica un cambio programado ya tomado por el scheduler y lo marca como aplicado */
+const applyScheduledChange = async (change) => {
+  const product = await Product.findById(change.product);
+  if (!product) {
+    change.status = "failed";
+    change.error = "El producto ya no existe.";
+    await change.save();
+    return;
+  }
+
+  const before = pickPrices(product);
+  for (const field of PRICE_FIELDS) {
+    if (change.prices[field] !== undefined) {
+      product[field] = change.prices[field];
+    }
+  }
+  await product.save();
+
+  await recordPriceChanges(
+    [{ product: product._id, code: product.code, from: before, to: product }],
+    { source: "scheduled", actor: change.createdBy }
+  );
+
+  await writeAuditEntries([
+    {
+      actor: change.createdBy,
+      entity: "Product",
+      action: "scheduled_price_change",
+      targetId: product._id,
+      before,
+      after: pickPrices(product),
+    },
+  ]);
+
+  change.status = "applied";
+  change.appliedAt = new Date();
+  await change.save();
+};
+
+/**
+ * Aplica los cambios de precio programados cuya fecha ya llegó, del más antiguo
+ * al más nuevo. Cada cambio se toma pasándolo a "applying" antes de ejecutarlo,
+ * para que dos instancias de la API no lo apliquen dos veces, y pasa a "applied"
+ * recién cuando terminó.
+ * @returns {Promise<number>} La cantidad de cambios procesados.
+ */
+export const applyDuePriceChanges = async () => {
+  let processed = 0;
+
+  for (;;) {
+    const change = await ScheduledPriceChange.findOneAndUpdate(
+      { status: "pending", effectiveFrom: { $lte: new Date() } },
+      { status: "applying", claimedAt: new Date() },
+      { sort: { effectiveFrom: 1 }, new: true }
+    );
+    if (!change) return processed;
+
+    try {
+      await applyScheduledChange(change);
+    } catch (error) {
+      console.error(
+        `Error aplicando el cambio de precio ${change._id}:`,
+        error
+      );
+      change.status = "failed";
+      change.error = error.message;
+      await change.save();
+    }
+    processed++;
+  }
+};
+
+/**
+ * Devuelve a "pending" los cambios que quedaron "applying" hace más de STALE_CLAIM_MS,
+ * porque el proceso que los tomó se detuvo. Volver a aplicarlos deja los mismos precios.
+ * @returns {Promise<number>} La cantidad de cambios devueltos a la cola.
+ */
+const requeueStalePriceChanges = async () => {
+  const { modifiedCount } = await ScheduledPriceChange.updateMany(
+    {
+      status: "applying",
+      claimedAt: { $lte: new Date(Date.now() - STALE_CLAIM_MS) },
+    },
+    { status: "pending", $unset: { claimedAt: 1 } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Revisa periódicamente los cambios de precio programados en este proceso.
+ * Cada revisión, incluida la del inicio, primero recupera los cambios interrumpidos.
+ * @returns {NodeJS.Timeout} El intervalo, por si hay que detenerlo.
+ */
+export const startPriceScheduler = () => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await requeueStalePriceChanges();
+      await applyDuePriceChanges();
+    } catch (error) {
+      console.error("Error en el scheduler de precios:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, SCHEDULER_INTERVAL_MS);
+};
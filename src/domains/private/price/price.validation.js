@@ -0,0 +1,32 @@
+import Joi from "joi";
+import { paginationQuery } from "../../../util/pagination.js";
+
+const priceValue = Joi.number().min(0).messages({
+  "number.base": `{{#label}} debe ser un número.`,
+  "number.min": `{{#label}} no puede ser negativo.`,
+});
+
+/**
+ * Schema para el historial de precios de un producto.
+ */
+export const priceHistoryQuerySchema = Joi.object({
+  ...paginationQuery,
+});
+
+/**
+ * Schema para programar un cambio de precio. Solo se envían los precios que cambian.
+ */
+export const schedulePriceChangeSchema = Joi.object({
+  effectiveFrom: Joi.date().iso().greater("now").required().messages({
+    "any.required": `"effectiveFrom" es un campo obligatorio.`,
+    "date.greater": `"effectiveFrom" debe ser una fecha futura.`,
+    "date.format": `"effectiveFrom" debe ser una fecha ISO 8601.`,
+  }),
+  medinor_price: priceValue,
+  public_price: priceValue,
+  price: priceValue,
+})
+  .or("medinor_price", "public_price", "price")
+  .messages({
+    "object.missing": "Debe indicar al menos un precio a cambiar.",
+  });
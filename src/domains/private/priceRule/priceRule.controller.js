@@ -0,0 +1,337 @@
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import PriceRule from "./priceRule.model.js";
+import { createPriceRuleSchema } from "./priceRule.validation.js";
+import Client from "../client/client.model.js";
+import { Lab, Product } from "../product/product.model.js";
+import { BadRequestError, NotFoundError } from "../../../util/errorHandler.js";
+import { buildPageResponse } from "../../../util/pagination.js";
+import { cleanCodClient } from "../../../util/clientMigrationCleaner.js";
+import { parseSheetDate } from "../../../util/spreadsheetParser.js";
+import {
+  cleanLabName,
+  parseArgentineNumber,
+} from "../../../util/productMigrationCleaner.js";
+import { resolveLabNames } from "../lab/lab.service.js";
+
+const IMPORT_MODES = ["append", "replace"];
+
+/* campos que solo tienen algunos tipos de regla */
+const OPTIONAL_RULE_FIELDS = [
+  "lab",
+  "code",
+  "discount_percent",
+  "fixed_price",
+  "min_quantity",
+  "validFrom",
+  "validTo",
+  "notes",
+];
+
+/* valores aceptados en la columna "Tipo", comparados sin espacios ni signos */
+const TYPE_ALIASES = {
+  LABDISCOUNT: "lab_discount",
+  LABORATORIO: "lab_discount",
+  DESCUENTOLABORATORIO: "lab_discount",
+  FIXEDPRICE: "fixed_price",
+  PRECIOFIJO: "fixed_price",
+  VOLUMETIER: "volume_tier",
+  VOLUMEN: "volume_tier",
+  ESCALA: "volume_tier",
+};
+
+const normalizeType = (value) =>
+  TYPE_ALIASES[
+    String(value ?? "")
+      .toUpperCase()
+      .replace(/[^A-Z]/g, "")
+  ] ?? String(value ?? "").trim();
+
+const cleanText = (value) => String(value ?? "").trim() || undefined;
+
+/* convierte _id a id solo para consistencia */
+const transformRuleDocument = (doc) => {
+  const plainObject = doc.toObject ? doc.toObject() : doc;
+  const { _id, __v, ...rest } = plainObject;
+  return { id: _id.toString(), ...rest };
+};
+
+/**
+ * Verifica que existan el cliente, el laboratorio y el producto a los que apunta la regla.
+ * Si falta alguno, lanza un BadRequestError con el código del primero que no existe.
+ */
+const assertReferencesExist = async ({ cod_client, lab, code }) => {
+  const [client, labExists, productExists] = await Promise.all([
+    Client.exists({ cod_client }),
+    lab ? Lab.exists({ _id: lab }) : true,
+    code ? Product.exists({ code }) : true,
+  ]);
+
+  if (!client) {
+    throw new BadRequestError("CLIENT_CODE_NOT_FOUND", {
+      params: { cod_client },
+    });
+  }
+  if (!labExists) throw new BadRequestError("LAB_NOT_FOUND");
+  if (!productExists) {
+    throw new BadRequestError("PRODUCT_NOT_FOUND", { params: { code } });
+  }
+};
+
+/**
+ * @desc    Obtener las reglas de precio paginadas, con filtros por cliente, tipo, laboratorio y código.
+ * @route   GET /api/price-rules
+ * @access  Private
+ */
+export const getAllPriceRules = asyncHandler(async (req, res) => {
+  const { page, limit, cod_client, type, lab, code, active } = req.joiQuery;
+
+  const filter = {};
+  if (cod_client) filter.cod_client = cod_client;
+  if (type) filter.type = type;
+  if (lab) filter.lab = lab;
+  if (code) filter.code = code;
+  if (active !== undefined) filter.active = active;
+
+  const [rules, total] = await Promise.all([
+    PriceRule.find(filter)
+      .populate("lab", "name")
+      .sort({ cod_client: 1, type: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PriceRule.countDocuments(filter),
+  ]);
+
+  const items = rules.map((rule) => transformRuleDocument(rule));
+  res.status(200).json(buildPageResponse({ items, total, page, limit }));
+});
+
+/**
+ * @desc    Obtener una regla de precio por su ID.
+ * @route   GET /api/price-rules/:id
+ * @access  Private
+ */
+export const getPriceRuleById = asyncHandler(async (req, res) => {
+  const rule = await PriceRule.findById(req.params.id)
+    .populate("lab", "name")
+    .lean();
+  if (!rule) {
+    throw new NotFoundError("PRICE_RULE_NOT_FOUND");
+  }
+  res.status(200).json(transformRuleDocument(rule));
+});
+
+/**
+ * @desc    Crear una regla de precio.
+ * @route   POST /api/price-rules
+ * @access  Private
+ */
+export const createPriceRule = asyncHandler(async (req, res) => {
+  await assertReferencesExist(req.joiBody);
+
+  const rule = await PriceRule.create(req.joiBody);
+
+  req.audit({
+    entity: "PriceRule",
+    action: "create",
+    targetId: rule._id,
+    after: rule,
+  });
+
+  res.status(201).json({
+    message: "Regla de precio creada correctamente.",
+    data: transformRuleDocument(rule),
+  });
+});
+
+/**
+ * @desc    Reemplazar una regla de precio.
+ * @route   PUT /api/price-rules/:id
+ * @access  Private
+ */
+export const updatePriceRuleById = asyncHandler(async (req, res) => {
+  await assertReferencesExist(req.joiBody);
+
+  const previousRule = await PriceRule.findById(req.params.id).lean();
+  if (!previousRule) {
+    throw new NotFoundError("PRICE_RULE_NOT_FOUND");
+  }
+
+  // Reemplazo completo: los campos que no aplican al nuevo tipo se quitan.
+  const unset = Object.fromEntries(
+    OPTIONAL_RULE_FIELDS.filter(
+      (field) => req.joiBody[field] === undefined
+    ).map((field) => [field, 1])
+  );
+  const updatedRule = await PriceRule.findByIdAndUpdate(
+    req.params.id,
+    { $set: req.joiBody, $unset: unset },
+    { new: true, runValidators: true }
+  ).lean();
+
+  req.audit({
+    entity: "PriceRule",
+    action: "update",
+    targetId: updatedRule._id,
+    before: previousRule,
+    after: updatedRule,
+  });
+
+  res.status(200).json({
+    message: "Regla de precio actualizada correctamente.",
+    data: transformRuleDocument(updatedRule),
+  });
+});
+
+/**
+ * @desc    Eliminar una regla de precio.
+ * @route   DELETE /api/price-rules/:id
+ * @access  Private
+ */
+export const deletePriceRuleById = asyncHandler(async (req, res) => {
+  const rule = await PriceRule.findByIdAndDelete(req.params.id).lean();
+  if (!rule) {
+    throw new NotFoundError("PRICE_RULE_NOT_FOUND");
+  }
+
+  req.audit({
+    entity: "PriceRule",
+    action: "delete",
+    targetId: rule._id,
+    before: rule,
+  });
+
+  res.status(200).json({ message: "Regla de precio eliminada correctamente." });
+});
+
+/**
+ * @desc    Importar reglas de precio desde una planilla. En modo "replace" se
+ *          reemplazan todas las reglas de los clientes que aparecen en el archivo.
+ * @route   POST /api/price-rules/import
+ * @access  Private
+ */
+export const importPriceRules = asyncHandler(async (req, res) => {
+  const { rules: rawRules, mode = "append" } = req.body;
+  if (!Array.isArray(rawRules) || rawRules.length === 0) {
+    throw new BadRequestError("MIGRATION_EMPTY_FILE");
+  }
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new BadRequestError("MIGRATION_INVALID_MODE", {
+      params: { modes: IMPORT_MODES.join(", ") },
+    });
+  }
+
+  const labNames = [
+    ...new Set(
+      rawRules.map((row) => cleanLabName(row.Laboratorio)).filter(Boolean)
+    ),
+  ];
+  const codClients = [
+    ...new Set(rawRules.map((row) => cleanCodClient(row.COD_CLIENT))),
+  ];
+  const codes = [
+    ...new Set(rawRules.map((row) => cleanText(row.Codigo)).filter(Boolean)),
+  ];
+
+  const [labsByName, clients, products] = await Promise.all([
+    resolveLabNames(labNames),
+    Client.find({ cod_client: { $in: codClients } }, "cod_client").lean(),
+    Product.find({ code: { $in: codes } }, "code").lean(),
+  ]);
+  const labIdsByName = new Map(
+    [...labsByName].map(([name, lab]) => [name, lab._id.toString()])
+  );
+  const existingClients = new Set(clients.map((c) => c.cod_client));
+  const existingCodes = new Set(products.map((p) => p.code));
+
+  const validRules = [];
+  const invalidRows = [];
+
+  for (const row of rawRules) {
+    const labName = cleanLabName(row.Laboratorio);
+    const candidate = {
+      cod_client: cleanCodClient(row.COD_CLIENT),
+      type: normalizeType(row.Tipo),
+      lab: labName ? (labIdsByName.get(labName) ?? labName) : undefined,
+      code: cleanText(row.Codigo),
+      discount_percent: parseArgentineNumber(row.Descuento),
+      fixed_price: parseArgentineNumber(row.Precio),
+      min_quantity: parseArgentineNumber(row["Cantidad Mínima"]),
+      validFrom: parseSheetDate(row.Desde),
+      validTo: parseSheetDate(row.Hasta),
+    };
+
+    const { error, value } = createPriceRuleSchema.validate(candidate, {
+      abortEarly: false,
+    });
+
+    const unknownLab = labName && !labIdsByName.has(labName);
+    // Un laboratorio inexistente se informa por nombre, no como ID inválido.
+    const errors = (error ? error.details : [])
+      .filter((detail) => !(unknownLab && detail.path[0] === "lab"))
+      .map((detail) => detail.message);
+    if (!existingClients.has(candidate.cod_client)) {
+      errors.push(
+        `No existe un cliente con el código ${candidate.cod_client}.`
+      );
+    }
+    if (unknownLab) {
+      errors.push(`No existe el laboratorio ${labName}.`);
+    }
+    if (candidate.code && !existingCodes.has(candidate.code)) {
+      errors.push(`No existe un producto con el código ${candidate.code}.`);
+    }
+
+    if (errors.length > 0) {
+      invalidRows.push({ data: row, errors });
+    } else {
+      validRules.push(value);
+    }
+  }
+
+  if (validRules.length === 0) {
+    throw new BadRequestError("MIGRATION_NO_VALID_ROWS");
+  }
+
+  const { deletedCount, created } = await mongoose.connection.transaction(
+    async (session) => {
+      let deleted = 0;
+      if (mode === "replace") {
+        ({ deletedCount: deleted } = await PriceRule.deleteMany(
+          {
+            cod_client: {
+              $in: [...new Set(validRules.map((r) => r.cod_client))],
+            },
+          },
+          { session }
+        ));
+      }
+      const inserted = await PriceRule.insertMany(validRules, { session });
+      return { deletedCount: deleted, created: inserted.length };
+    }
+  );
+
+  req.audit({
+    entity: "PriceRule",
+    action: "import",
+    after: {
+      filename: req.body.filename,
+      mode,
+      created,
+      deleted: deletedCount,
+    },
+  });
+
+  res.status(201).json({
+    message: `Importación completada. Reglas creadas: ${created}.`,
+    summary: {
+      totalReceived: rawRules.length,
+      totalValid: validRules.length,
+      totalInvalid: invalidRows.length,
+      created,
+      deleted: deletedCount,
+    },
+    invalidRows,
+  });
+});
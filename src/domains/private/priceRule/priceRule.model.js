@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+/*
+ * lab_discount: porcentaje de descuento sobre todos los productos de un laboratorio.
+ * fixed_price:  precio neto fijo para un código de producto.
+ * volume_tier:  descuento adicional a partir de una cantidad, por código o por laboratorio.
+ */
+export const PRICE_RULE_TYPES = ["lab_discount", "fixed_price", "volume_tier"];
+
+const priceRuleSchema = new mongoose.Schema(
+  {
+    cod_client: { type: String, required: true },
+    type: { type: String, enum: PRICE_RULE_TYPES, required: true },
+    lab: { type: mongoose.Schema.Types.ObjectId, ref: "Lab" },
+    code: { type: String },
+    discount_percent: { type: Number, min: 0, max: 100 },
+    fixed_price: { type: Number, min: 0 },
+    min_quantity: { type: Number, min: 1 },
+    validFrom: { type: Date },
+    validTo: { type: Date },
+    active: { type: Boolean, default: true },
+    notes: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceRuleSchema.index({ cod_client: 1, type: 1 });
+
+const PriceRule = mongoose.model("PriceRule", priceRuleSchema);
+
+export default PriceRule;
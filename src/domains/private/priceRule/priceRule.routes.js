@@ -0,0 +1,56 @@
+import express from "express";
+import {
+  createPriceRule,
+  deletePriceRuleById,
+  getAllPriceRules,
+  getPriceRuleById,
+  importPriceRules,
+  updatePriceRuleById,
+} from "./priceRule.controller.js";
+import {
+  validateReqBody,
+  validateReqQuery,
+} from "../../../interface/middleware/joi.middleware.js";
+import { authorize } from "../../../interface/middleware/auth.middleware.js";
+import {
+  parseSpreadsheetRows,
+  uploadSpreadsheet,
+} from "../../../interface/middleware/upload.middleware.js";
+import { PRICE_RULE_FILE_HEADERS } from "../../../config/fileHeaders.js";
+import { EDITOR_ROLES } from "../../../config/roles.js";
+import {
+  createPriceRuleSchema,
+  listPriceRulesQuerySchema,
+  updatePriceRuleSchema,
+} from "./priceRule.validation.js";
+
+const router = express.Router();
+
+router
+  .route("/")
+  .get(validateReqQuery(listPriceRulesQuerySchema), getAllPriceRules)
+  .post(
+    authorize(EDITOR_ROLES),
+    validateReqBody(createPriceRuleSchema),
+    createPriceRule
+  );
+
+router.post(
+  "/import",
+  authorize(EDITOR_ROLES),
+  uploadSpreadsheet,
+  parseSpreadsheetRows("rules", PRICE_RULE_FILE_HEADERS),
+  importPriceRules
+);
+
+router
+  .route("/:id")
+  .get(getPriceRuleById)
+  .put(
+    authorize(EDITOR_ROLES),
+    validateReqBody(updatePriceRuleSchema),
+    updatePriceRuleById
+  )
+  .delete(authorize(EDITOR_ROLES), deletePriceRuleById);
+
+export default router;
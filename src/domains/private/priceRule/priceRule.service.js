@@ -0,0 +1,89 @@
+import PriceRule from "./priceRule.model.js";
+import { ivaRateFor } from "../../../config/tax.js";
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const labIdOf = (product) => String(product.lab?._id ?? product.lab ?? "");
+
+/**
+ * Busca las reglas activas y vigentes de un cliente.
+ * @param {string} codClient - El código del cliente.
+ * @param {Date} [at] - La fecha de vigencia, por defecto ahora.
+ * @returns {Promise<Object[]>}
+ */
+export const loadClientRules = (codClient, at = new Date()) =>
+  PriceRule.find({
+    cod_client: codClient,
+    active: true,
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: at } }] },
+      { $or: [{ validTo: null }, { validTo: { $gte: at } }] },
+    ],
+  }).lean();
+
+/**
+ * Resuelve el precio neto de un producto para un cliente.
+ * Un precio fijo por código reemplaza al descuento por laboratorio; sobre el
+ * resultado se aplica la escala por volumen de mayor cantidad mínima alcanzada,
+ * priorizando la del código sobre la del laboratorio. Un producto sin precio
+ * Medinor solo tiene precio si el cliente tiene un precio fijo para su código.
+ * @param {Object} product - El producto, con `medinor_price`, `lab` e `iva_rate`.
+ * @param {Object[]} rules - Las reglas del cliente, ver loadClientRules.
+ * @param {number} [quantity] - La cantidad, para las escalas por volumen.
+ * @returns {{ list_price: number|null, net_price: number, iva_rate: number, iva_amount: number, final_price: number, appliedRules: Object[] }|null}
+ *   null si el producto no tiene precio para el cliente.
+ */
+export const resolvePrice = (product, rules, quantity = 1) => {
+  const listPrice = product.medinor_price ?? null;
+  const labId = labIdOf(product);
+  const appliedRules = [];
+  let netPrice = listPrice;
+
+  const fixedPrice = rules.find(
+    (rule) => rule.type === "fixed_price" && rule.code === product.code
+  );
+  if (listPrice === null && !fixedPrice) return null;
+  const labDiscount = rules.find(
+    (rule) => rule.type === "lab_discount" && String(rule.lab) === labId
+  );
+
+  if (fixedPrice) {
+    netPrice = fixedPrice.fixed_price;
+    appliedRules.push(fixedPrice);
+  } else if (labDiscount) {
+    netPrice = listPrice * (1 - labDiscount.discount_percent / 100);
+    appliedRules.push(labDiscount);
+  }
+
+  const tiers = rules
+    .filter(
+      (rule) =>
+        rule.type === "volume_tier" &&
+        rule.min_quantity <= quantity &&
+        (rule.code ? rule.code === product.code : String(rule.lab) === labId)
+    )
+    .sort(
+      (a, b) =>
+        Boolean(b.code) - Boolean(a.code) || b.min_quantity - a.min_quantity
+    );
+  if (tiers.length > 0) {
+    netPrice = netPrice * (1 - tiers[0].discount_percent / 100);
+    appliedRules.push(tiers[0]);
+  }
+
+  netPrice = roundMoney(netPrice);
+  const ivaRate = ivaRateFor(product);
+  const ivaAmount = roundMoney((netPrice * ivaRate) / 100);
+
+  return {
+    list_price: listPrice,
+    net_price: netPrice,
+    iva_rate: ivaRate,
+    iva_amount: ivaAmount,
+    final_price: roundMoney(netPrice + ivaAmount),
+    appliedRules: appliedRules.map(({ _id, type }) => ({
+      id: _id.toString(),
+      type,
+    })),
+  };
+};
@@ -0,0 +1,104 @@
+import Joi from "joi";
+import { paginationQuery } from "../../../util/pagination.js";
+import { PRICE_RULE_TYPES } from "./priceRule.model.js";
+
+const objectId = (label) =>
+  Joi.string()
+    .hex()
+    .length(24)
+    .messages({
+      "string.hex": `"${label}" debe ser un ID válido.`,
+      "string.length": `"${label}" debe ser un ID válido.`,
+    });
+
+const discountPercent = Joi.number().greater(0).max(100).messages({
+  "number.greater": `"discount_percent" debe ser mayor a 0.`,
+  "number.max": `"discount_percent" no puede superar 100.`,
+});
+
+/* campos de una regla; los obligatorios dependen del tipo */
+const ruleFields = {
+  cod_client: Joi.string().trim().uppercase(),
+  type: Joi.string()
+    .valid(...PRICE_RULE_TYPES)
+    .messages({
+      "any.only": `"type" debe ser uno de: ${PRICE_RULE_TYPES.join(", ")}.`,
+    }),
+  lab: objectId("lab").when("type", {
+    switch: [
+      { is: "lab_discount", then: Joi.required() },
+      { is: "fixed_price", then: Joi.forbidden() },
+    ],
+  }),
+  code: Joi.string()
+    .trim()
+    .when("type", {
+      switch: [
+        { is: "fixed_price", then: Joi.required() },
+        { is: "lab_discount", then: Joi.forbidden() },
+      ],
+    }),
+  discount_percent: discountPercent.when("type", {
+    is: "fixed_price",
+    then: Joi.forbidden(),
+    otherwise: Joi.required(),
+  }),
+  fixed_price: Joi.number().min(0).when("type", {
+    is: "fixed_price",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  min_quantity: Joi.number().integer().min(1).when("type", {
+    is: "volume_tier",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  validFrom: Joi.date().iso().allow(null),
+  validTo: Joi.date().iso().allow(null).min(Joi.ref("validFrom")).messages({
+    "date.min": `"validTo" debe ser posterior a "validFrom".`,
+  }),
+  active: Joi.boolean(),
+  notes: Joi.string().trim().max(500).allow(""),
+};
+
+/* una escala por volumen aplica a un código o a un laboratorio, no a ambos */
+const volumeTierTarget = (value, helpers) => {
+  if (
+    value.type === "volume_tier" &&
+    Boolean(value.lab) === Boolean(value.code)
+  ) {
+    return helpers.message({
+      custom:
+        "Una escala por volumen debe indicar un laboratorio o un código, no ambos.",
+    });
+  }
+  return value;
+};
+
+/**
+ * Schema para la creación de una regla de precio.
+ */
+export const createPriceRuleSchema = Joi.object({
+  ...ruleFields,
+  cod_client: ruleFields.cod_client.required(),
+  type: ruleFields.type.required(),
+  active: ruleFields.active.default(true),
+}).custom(volumeTierTarget);
+
+/**
+ * Schema para la actualización de una regla de precio. Se envía la regla completa
+ * porque los campos obligatorios dependen del tipo.
+ */
+export const updatePriceRuleSchema = createPriceRuleSchema;
+
+/**
+ * Schema para los filtros del listado de reglas.
+ */
+export const listPriceRulesQuerySchema = Joi.object({
+  ...paginationQuery,
+  cod_client: Joi.string().trim().uppercase(),
+  type: ruleFields.type,
+  lab: objectId("lab"),
+  code: Joi.string().trim(),
+  active: Joi.boolean(),
+});
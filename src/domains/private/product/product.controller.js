@@ -1,125 +1,878 @@
-import { Product, Lab } from "./models.js"; // Asegúrate de que esta ruta sea correcta para tus modelos de Mongoose
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import { Product, Lab } from "./product.model.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../../../util/errorHandler.js";
+import ROLES from "../../../config/roles.js";
+import { buildPageResponse, parseSort } from "../../../util/pagination.js";
+import {
+  actorFromUser,
+  recordMigrationBatch,
+} from "../migration/migration.service.js";
+import {
+  PRICE_FIELDS,
+  pickPrices,
+  recordPriceChanges,
+} from "../price/price.service.js";
+import {
+  claimAnalysis,
+  getAnalysis,
+  saveAnalysis,
+} from "../../../util/analysisStore.js";
+import { auditContextFromRequest } from "../audit/audit.service.js";
+import { chunksOf, enqueueJob } from "../job/job.service.js";
+import { sendSpreadsheet } from "../../../util/spreadsheetWriter.js";
+import {
+  loadClientRules,
+  resolvePrice,
+} from "../priceRule/priceRule.service.js";
+import Client from "../client/client.model.js";
+import { PRODUCT_FILE_HEADERS } from "../../../config/fileHeaders.js";
+import { IVA_CODES, ivaCodeFor, ivaRateFor } from "../../../config/tax.js";
+import {
+  cleanIvaCode,
+  cleanLabName,
+  cleanPrice,
+  cleanProductCode,
+} from "../../../util/productMigrationCleaner.js";
+import { productObjectSchema } from "./product.validation.js";
+import { resolveLabNames, suggestLabs } from "../lab/lab.service.js";
 
-// Función auxiliar para normalizar nombres de laboratorios
-const normalizeLabName = (name) => {
-  // Trim y Uppercase para consistencia, asumiendo que el nombre ya viene con los caracteres "corruptos" si los tuviera
-  return name ? name.trim().toUpperCase() : null;
+const cleanText = (value) => {
+  const trimmed = String(value ?? "").trim();
+  return trimmed || null;
 };
 
-export const uploadProducts = async (req, res) => {
-  try {
-    const productsData = req.body;
+/* campos del producto que se comparan contra la base de datos */
+const COMPARABLE_FIELDS = [
+  "lab",
+  "notes",
+  "desc",
+  "extra_desc",
+  "iva_rate",
+  "medinor_price",
+  "public_price",
+  "price",
+];
 
-    if (!Array.isArray(productsData) || productsData.length === 0) {
-      return res.status(400).json({
-        message: "No se encontraron datos de productos en la solicitud.",
-      });
+/**
+ * Convierte una fila del archivo de precios (encabezados ya canónicos) al formato del modelo.
+ * El laboratorio queda como nombre normalizado; se resuelve a ObjectId al confirmar.
+ * Los valores que no se pueden leer quedan como NaN para que productObjectSchema los informe.
+ */
+const cleanProductRow = (row) => ({
+  code: cleanProductCode(row["Codigo"]),
+  lab: cleanLabName(row["Laboratorio"]),
+  notes: cleanText(row["Notas Artículo"]),
+  desc: cleanText(row["Descripción"]),
+  extra_desc: cleanText(row["Descripción Adicional"]),
+  iva_rate: cleanIvaCode(row["Cod. IVA"]),
+  medinor_price: cleanPrice(row["Pr. Medinor"]),
+  public_price: cleanPrice(row["Pr. Público"]),
+  price: cleanPrice(row["Pr. Costo"]),
+});
+
+/*
+ * Completa los campos vacíos de la fila con el producto guardado. Un producto nuevo
+ * queda sin los precios vacíos y, si no trae "Cod. IVA", exento.
+ */
+const fillBlankFields = (product, stored) => {
+  const filled = { ...product };
+  for (const field of PRICE_FIELDS) {
+    if (filled[field] === undefined) filled[field] = stored?.[field] ?? null;
+  }
+  if (filled.iva_rate === undefined) {
+    filled.iva_rate = stored ? ivaRateFor(stored) : IVA_CODES[1];
+  }
+  return filled;
+};
+
+/* arma el mismo formato que cleanProductRow a partir de un documento guardado */
+const toComparableProduct = (doc) => ({
+  code: doc.code,
+  lab: doc.lab ? doc.lab.name : null,
+  notes: doc.notes ?? null,
+  desc: doc.desc ?? null,
+  extra_desc: doc.extra_desc ?? null,
+  // null en los productos anteriores a `iva_rate`, así la próxima carga la completa
+  iva_rate: doc.iva_rate ?? null,
+  medinor_price: doc.medinor_price ?? null,
+  public_price: doc.public_price ?? null,
+  price: doc.price ?? null,
+});
+
+/*
+ * Variación de precio, en porcentaje, a partir de la cual el análisis advierte.
+ * Suele indicar un error de separador decimal en la planilla (ej: 1.234 en lugar de 1,234).
+ */
+const PRICE_CHANGE_WARNING_PERCENT =
+  Number(process.env.PRICE_CHANGE_WARNING_PERCENT) || 50;
+
+/* advertencias por cada precio que varía más que PRICE_CHANGE_WARNING_PERCENT */
+const findPriceWarnings = (code, changes) =>
+  PRICE_FIELDS.filter(
+    (field) => changes[field] && changes[field].from > 0
+  ).flatMap((field) => {
+    const { from, to } = changes[field];
+    const percent = Math.round(((to - from) / from) * 1000) / 10;
+    return Math.abs(percent) > PRICE_CHANGE_WARNING_PERCENT
+      ? [{ code, field, from, to, percent }]
+      : [];
+  });
+
+/**
+ * Devuelve las diferencias campo a campo entre el producto guardado y la fila del archivo.
+ * @returns {Object} `{ campo: { from, to } }`, vacío si no hay cambios.
+ */
+const diffProduct = (stored, incoming) => {
+  const changes = {};
+  for (const field of COMPARABLE_FIELDS) {
+    if (stored[field] !== incoming[field]) {
+      changes[field] = { from: stored[field], to: incoming[field] };
     }
+  }
+  return changes;
+};
 
-    const labsToProcess = new Set();
-    productsData.forEach((product) => {
-      // Usamos el nombre exacto de la columna del CSV, incluyendo el carácter "Ã³"
-      if (product["Laboratorio"]) {
-        labsToProcess.add(normalizeLabName(product["Laboratorio"]));
-      }
+/**
+ * @desc    Analiza la lista de precios contra la base de datos sin escribir nada.
+ * @route   POST /api/products/analyze
+ * @access  Private
+ */
+export const analyzeProducts = asyncHandler(async (req, res) => {
+  const { products: rawProducts } = req.body;
+  if (!Array.isArray(rawProducts) || rawProducts.length === 0) {
+    throw new BadRequestError("MIGRATION_EMPTY_FILE");
+  }
+
+  const validProducts = [];
+  const invalidRows = [];
+  const processedCodes = new Set();
+
+  for (const rawProduct of rawProducts) {
+    const product = cleanProductRow(rawProduct);
+
+    const { error } = productObjectSchema.validate(product, {
+      abortEarly: false,
     });
+    if (error) {
+      invalidRows.push({
+        data: rawProduct,
+        errors: error.details.map((detail) => detail.message),
+      });
+      continue;
+    }
 
-    const newLabsCreated = [];
-    const existingLabsMap = new Map();
+    if (processedCodes.has(product.code)) {
+      invalidRows.push({
+        data: rawProduct,
+        errors: [
+          `El Codigo ${product.code} está duplicado dentro del archivo.`,
+        ],
+      });
+      continue;
+    }
 
-    // --- 1. Procesar Laboratorios ---
-    for (const labName of labsToProcess) {
-      if (!labName) continue;
+    processedCodes.add(product.code);
+    validProducts.push(product);
+  }
 
-      let lab = await Lab.findOne({ name: labName });
+  if (validProducts.length === 0 && invalidRows.length > 0) {
+    throw new BadRequestError("MIGRATION_NO_VALID_ROWS");
+  }
 
-      if (!lab) {
-        lab = new Lab({ name: labName });
-        await lab.save();
-        newLabsCreated.push(lab.name);
-        console.log(`Laboratorio creado: ${lab.name}`);
-      }
-      existingLabsMap.set(lab.name, lab._id);
+  // Los alias se reemplazan por el nombre del laboratorio; los nombres
+  // desconocidos se crearán al confirmar, salvo que se parezcan a uno existente.
+  const fileLabNames = [
+    ...new Set(validProducts.map((product) => product.lab).filter(Boolean)),
+  ];
+  const labsByName = await resolveLabNames(fileLabNames);
+  for (const product of validProducts) {
+    if (labsByName.has(product.lab)) {
+      product.lab = labsByName.get(product.lab).name;
     }
+  }
+  const newLabNames = fileLabNames.filter((name) => !labsByName.has(name));
+  const labSuggestions = await suggestLabs(newLabNames);
 
-    // --- 2. Procesar Productos ---
-    let productsCreatedCount = 0;
-    let productsUpdatedCount = 0;
-    const productsErrors = [];
+  const productsInDB = await Product.find({
+    code: { $in: validProducts.map((p) => p.code) },
+  })
+    .populate("lab", "name")
+    .lean();
 
-    for (const productData of productsData) {
-      try {
-        const code = productData["Codigo"];
-        const labNameFromCSV = normalizeLabName(productData["Laboratorio"]);
-        const labId = existingLabsMap.get(labNameFromCSV);
-
-        if (!code) {
-          productsErrors.push({
-            data: productData,
-            error: "Campo 'Codigo' es requerido.",
-          });
-          continue;
-        }
+  const productsInDBByCode = new Map(productsInDB.map((p) => [p.code, p]));
+
+  const newProducts = [];
+  const changedProducts = [];
+  const unchangedProducts = [];
+  const priceWarnings = [];
+
+  for (const row of validProducts) {
+    const storedDoc = productsInDBByCode.get(row.code);
+    const product = fillBlankFields(row, storedDoc);
+
+    if (!storedDoc) {
+      newProducts.push(product);
+      continue;
+    }
+
+    const changes = diffProduct(toComparableProduct(storedDoc), product);
+    if (Object.keys(changes).length > 0) {
+      changedProducts.push({ ...product, changes });
+      priceWarnings.push(...findPriceWarnings(product.code, changes));
+    } else {
+      unchangedProducts.push(product);
+    }
+  }
+
+  // El resultado queda guardado: la confirmación solo recibe el id y la selección.
+  const { analysisId, expiresAt } = await saveAnalysis("products", req.user, {
+    filename: req.body.filename,
+    data: { newProducts, changedProducts },
+  });
+
+  res.status(200).json({
+    message: "Análisis completado.",
+    analysisId,
+    expiresAt,
+    summary: {
+      totalReceived: rawProducts.length,
+      totalValid: validProducts.length,
+      totalInvalid: invalidRows.length,
+      totalNew: newProducts.length,
+      totalChanged: changedProducts.length,
+      totalUnchanged: unchangedProducts.length,
+      totalPriceWarnings: priceWarnings.length,
+      totalNewLabs: newLabNames.length,
+    },
+    data: {
+      newProducts,
+      changedProducts,
+      unchangedProducts,
+      priceWarnings,
+      newLabs: newLabNames,
+      labSuggestions,
+      invalidRows,
+    },
+  });
+});
+
+/**
+ * Indica si el producto guardado cambió después del análisis: si era nuevo y
+ * ahora existe, o si alguno de los campos a modificar ya no tiene el valor analizado.
+ */
+const changedSinceAnalysis = (product, productData) => {
+  if (!productData.changes) return Boolean(product);
+  if (!product) return true;
+
+  const current = toComparableProduct(product);
+  return Object.entries(productData.changes).some(
+    ([field, { from }]) => current[field] !== from
+  );
+};
+
+/* valores que se guardan de una fila del análisis, con el laboratorio ya resuelto */
+const toProductFields = (productData, labIdsByName) => ({
+  code: productData.code,
+  notes: productData.notes ?? null,
+  lab: labIdsByName.get(cleanLabName(productData.lab)) ?? null,
+  desc: productData.desc ?? null,
+  extra_desc: productData.extra_desc ?? null,
+  iva_rate: productData.iva_rate,
+  medinor_price: productData.medinor_price ?? null,
+  public_price: productData.public_price ?? null,
+  price: productData.price ?? null,
+});
+
+/* valores previos de un producto (con el laboratorio poblado) para poder revertirlo */
+const toBeforeSnapshot = (product) =>
+  Object.fromEntries(
+    COMPARABLE_FIELDS.map((field) => [
+      field,
+      field === "lab" ? (product.lab?._id ?? null) : (product[field] ?? null),
+    ])
+  );
+
+/**
+ * Crea con un único bulkWrite los laboratorios que falten. Un nombre que es
+ * alias de un laboratorio existente se resuelve a ese laboratorio.
+ * @param {Set<string>} labNames - Los nombres normalizados de los laboratorios del archivo.
+ * @param {ClientSession} [session] - La sesión si la carga es todo o nada.
+ * @returns {Promise<{ labIdsByName: Map, createdLabs: { id: ObjectId, name: string }[] }>}
+ */
+const upsertLabs = async (labNames, session) => {
+  const existing = await resolveLabNames([...labNames], { session });
+  const labIdsByName = new Map(
+    [...existing].map(([name, lab]) => [name, lab._id])
+  );
+  const names = [...labNames].filter((name) => !existing.has(name));
+  if (names.length === 0) return { labIdsByName, createdLabs: [] };
+
+  const result = await Lab.bulkWrite(
+    names.map((name) => ({
+      updateOne: {
+        filter: { name },
+        update: { $setOnInsert: { name } },
+        upsert: true,
+      },
+    })),
+    { ordered: false, session }
+  );
+
+  const labs = await Lab.find({ name: { $in: names } }, "_id name", {
+    session,
+  }).lean();
+  for (const lab of labs) labIdsByName.set(lab.name, lab._id);
+
+  return {
+    labIdsByName,
+    createdLabs: Object.entries(result.upsertedIds).map(([index, id]) => ({
+      id,
+      name: names[index],
+    })),
+  };
+};
+
+/**
+ * Guarda un bloque de productos con un único bulkWrite: los existentes se
+ * actualizan por su _id y los nuevos se insertan por código solo si siguen sin existir.
+ * @returns {Promise<{ createdIds: ObjectId[], updatedRecords: Object[], priceChanges: Object[], errors: Object[] }>}
+ */
+const writeProductChunk = async (rows, labIdsByName, session) => {
+  const storedProducts = await Product.find(
+    { code: { $in: rows.map((row) => row.code) } },
+    null,
+    { session }
+  )
+    .populate("lab", "name")
+    .lean();
+  const storedByCode = new Map(storedProducts.map((p) => [p.code, p]));
+
+  const errors = [];
+  const pending = [];
+  for (const productData of rows) {
+    const product = storedByCode.get(productData.code);
+
+    if (changedSinceAnalysis(product, productData)) {
+      errors.push({
+        data: productData,
+        error: "El producto fue modificado después del análisis.",
+      });
+      continue;
+    }
+
+    const fields = toProductFields(productData, labIdsByName);
+    pending.push(
+      product
+        ? {
+            productData,
+            updated: {
+              id: product._id,
+              before: toBeforeSnapshot(product),
+              after: fields,
+            },
+            operation: {
+              updateOne: {
+                filter: { _id: product._id },
+                update: { $set: fields },
+              },
+            },
+          }
+        : {
+            productData,
+            operation: {
+              updateOne: {
+                filter: { code: fields.code },
+                update: { $setOnInsert: fields },
+                upsert: true,
+              },
+            },
+          }
+    );
+  }
+
+  if (pending.length === 0) {
+    return { createdIds: [], updatedRecords: [], priceChanges: [], errors };
+  }
+
+  let result;
+  const failedByIndex = new Map();
+  try {
+    result = await Product.bulkWrite(
+      pending.map(({ operation }) => operation),
+      { ordered: false, session }
+    );
+  } catch (error) {
+    // En una carga todo o nada cualquier error aborta la transacción.
+    if (session || !error.writeErrors) throw error;
+    result = error.result;
+    for (const writeError of error.writeErrors) {
+      failedByIndex.set(writeError.index, writeError.errmsg);
+    }
+  }
+
+  const createdIds = [];
+  const updatedRecords = [];
+  const priceChanges = [];
+  pending.forEach(({ productData, updated }, index) => {
+    const change = { code: productData.code, to: pickPrices(productData) };
+    if (failedByIndex.has(index)) {
+      errors.push({ data: productData, error: failedByIndex.get(index) });
+    } else if (updated) {
+      updatedRecords.push(updated);
+      priceChanges.push({
+        ...change,
+        product: updated.id,
+        from: updated.before,
+      });
+    } else if (result.upsertedIds[index]) {
+      createdIds.push(result.upsertedIds[index]);
+      priceChanges.push({
+        ...change,
+        product: result.upsertedIds[index],
+        from: null,
+      });
+    } else {
+      errors.push({
+        data: productData,
+        error: "El producto fue creado después del análisis.",
+      });
+    }
+  });
+
+  return { createdIds, updatedRecords, priceChanges, errors };
+};
+
+/**
+ * Trabajo en segundo plano de POST /api/products/make-migration.
+ * Crea los laboratorios que falten y luego guarda los productos por bloques,
+ * informando el progreso y los errores por fila.
+ * Con `atomic` todo corre en una transacción: si una fila falla o se cancela,
+ * no se guarda nada. Si no, lo ya cargado queda registrado como migración.
+ * @param {{ user: Object, payload: Object }} job - El usuario y los productos seleccionados.
+ * @param {Object} context - El contexto del trabajo, ver runJob en job.service.js.
+ */
+export const runProductMigration = async ({ user, payload }, context) => {
+  const { filename, products: productsData, atomic } = payload;
+
+  const labNames = new Set(
+    productsData.map((product) => cleanLabName(product.lab)).filter(Boolean)
+  );
+
+  const importProducts = async (session) => {
+    await context.setTotal(productsData.length);
+
+    const { labIdsByName, createdLabs } = await upsertLabs(labNames, session);
+
+    const productsErrors = [];
+    const createdIds = [];
+    const updatedRecords = [];
 
-        let product = await Product.findOne({ code: code });
-
-        const productFields = {
-          code: code,
-          notes: productData["Notas ArtÃ­culo"] || null,
-          lab: labId,
-          desc: productData["DescripciÃ³n"] || null,
-          extra_desc: productData["DescripciÃ³n Adicional"] || null,
-          iva: productData["Cod. IVA"] === "2" ? true : false,
-          medinor_price:
-            typeof productData["Pr. Medinor"] === "number"
-              ? productData["Pr. Medinor"]
-              : parseFloat(productData["Pr. Medinor"]) || 0,
-          public_price:
-            typeof productData["Pr. PÃºblico"] === "number"
-              ? productData["Pr. PÃºblico"]
-              : parseFloat(productData["Pr. PÃºblico"]) || 0,
-          price:
-            typeof productData["Pr. Costo"] === "number"
-              ? productData["Pr. Costo"]
-              : parseFloat(productData["Pr. Costo"]) || 0,
-        };
-
-        if (product) {
-          Object.assign(product, productFields);
-          await product.save();
-          productsUpdatedCount++;
-        } else {
-          product = new Product(productFields);
-          await product.save();
-          productsCreatedCount++;
+    for (const rows of chunksOf(productsData)) {
+      if (await context.isCancelled()) {
+        if (session) {
+          throw new Error("Carga cancelada: no se guardó ningún producto.");
         }
-      } catch (productError) {
-        productsErrors.push({ data: productData, error: productError.message });
-        console.error(
-          `Error procesando producto con Codigo ${productData["Codigo"]}:`,
-          productError
-        );
+        break;
       }
+
+      const result = await writeProductChunk(rows, labIdsByName, session);
+      createdIds.push(...result.createdIds);
+      updatedRecords.push(...result.updatedRecords);
+      productsErrors.push(...result.errors);
+      await recordPriceChanges(result.priceChanges, {
+        source: "migration",
+        actor: actorFromUser(user),
+        session,
+      });
+      await context.reportProgress(
+        rows.length,
+        result.errors.map(({ data, error }) => ({ code: data.code, error }))
+      );
     }
 
-    res.status(200).json({
+    if (session && productsErrors.length > 0) {
+      throw new Error(
+        `Carga revertida: ${productsErrors.length} productos con errores.`
+      );
+    }
+
+    const summary = {
+      labsCreated: createdLabs.length,
+      productsCreated: createdIds.length,
+      productsUpdated: updatedRecords.length,
+      productsWithErrors: productsErrors.length,
+    };
+
+    const batch = await recordMigrationBatch(
+      {
+        entity: "Product",
+        user,
+        filename,
+        summary,
+        created: createdIds,
+        updated: updatedRecords,
+        createdLabs: createdLabs.map((lab) => lab.id),
+      },
+      { session }
+    );
+
+    context.audit({
+      entity: "Product",
+      action: "migration",
+      targetId: batch._id,
+      after: { filename: batch.filename, atomic, ...batch.summary },
+    });
+
+    return {
       message: "Proceso de carga de productos completado.",
+      migrationId: batch._id.toString(),
       labsSummary: {
-        totalLabsProcessed: labsToProcess.size,
-        newLabsCreated: newLabsCreated,
+        totalLabsProcessed: labNames.size,
+        newLabsCreated: createdLabs.map((lab) => lab.name),
       },
       productsSummary: {
-        productsCreated: productsCreatedCount,
-        productsUpdated: productsUpdatedCount,
-        productsWithErrors: productsErrors.length,
+        productsCreated: summary.productsCreated,
+        productsUpdated: summary.productsUpdated,
+        productsWithErrors: summary.productsWithErrors,
         errors: productsErrors,
       },
+    };
+  };
+
+  return atomic
+    ? mongoose.connection.transaction(importProducts)
+    : importProducts();
+};
+
+/**
+ * @desc    Encola la creación de los productos nuevos y la actualización de los
+ *          modificados de un análisis previo. Sin `selected` se confirman todos;
+ *          si no, solo los códigos seleccionados. Con `atomic` la carga es todo o nada.
+ *          El progreso y el resultado se consultan en GET /api/jobs/:id.
+ * @route   POST /api/products/make-migration
+ * @access  Private
+ */
+export const confirmProductMigration = asyncHandler(async (req, res) => {
+  const { analysisId, selected, atomic } = req.joiBody;
+
+  const analysis = await getAnalysis("products", analysisId, req.user);
+  const { newProducts, changedProducts } = analysis.data;
+  const selectedCodes = selected && new Set(selected.codes);
+  const productsData = [...newProducts, ...changedProducts].filter(
+    (product) => !selectedCodes || selectedCodes.has(product.code)
+  );
+
+  if (productsData.length === 0) {
+    throw new BadRequestError("MIGRATION_NOTHING_SELECTED");
+  }
+
+  // Recién ahora se marca como confirmado: una selección vacía no invalida el análisis.
+  await claimAnalysis("products", analysisId);
+
+  const job = await enqueueJob(
+    "product-migration",
+    req.user,
+    { filename: analysis.filename, products: productsData, atomic },
+    auditContextFromRequest(req)
+  );
+
+  res.status(202).json({
+    message: "Carga de productos en proceso.",
+    jobId: job.id,
+  });
+});
+
+/* campos del producto que cada rol no puede ver */
+const HIDDEN_FIELDS_BY_ROLE = {
+  [ROLES.client]: ["price", "medinor_price"],
+};
+
+const hiddenFieldsFor = (role) => HIDDEN_FIELDS_BY_ROLE[role] || [];
+
+/* convierte _id a id, aplana el laboratorio y quita los campos ocultos para el rol */
+const transformProductDocument = (doc, role) => {
+  const plainObject = doc.toObject ? doc.toObject() : doc;
+  const { _id, __v, score, lab, ...rest } = plainObject;
+
+  for (const field of hiddenFieldsFor(role)) delete rest[field];
+
+  const labData =
+    lab && lab._id ? { id: lab._id.toString(), name: lab.name } : (lab ?? null);
+
+  return { id: _id.toString(), ...rest, lab: labData };
+};
+
+/*
+ * Filtro del parámetro obsoleto `iva`: gravados o exentos. Los productos anteriores
+ * a `iva_rate` se filtran por el booleano que tenían.
+ */
+const legacyIvaFilter = (iva) =>
+  iva
+    ? { $or: [{ iva_rate: { $gt: 0 } }, { iva_rate: null, iva: true }] }
+    : { $or: [{ iva_rate: 0 }, { iva_rate: null, iva: { $ne: true } }] };
+
+/* arma el filtro de Mongo a partir de la query ya validada */
+const buildProductFilter = (
+  { lab, iva_rate, iva, minPrice, maxPrice, search },
+  role
+) => {
+  // Los clientes no ven el precio Medinor, así que filtran por precio público.
+  const priceField = hiddenFieldsFor(role).includes("medinor_price")
+    ? "public_price"
+    : "medinor_price";
+
+  const filter = {};
+  if (lab) filter.lab = lab;
+  if (iva_rate !== undefined) filter.iva_rate = iva_rate;
+  else if (iva !== undefined) Object.assign(filter, legacyIvaFilter(iva));
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter[priceField] = {
+      ...(minPrice !== undefined && { $gte: minPrice }),
+      ...(maxPrice !== undefined && { $lte: maxPrice }),
+    };
+  }
+  if (search) filter.$text = { $search: search };
+
+  return filter;
+};
+
+/**
+ * Carga las reglas de precio del cliente pedido en `priceFor`.
+ * Un cliente solo puede pedir sus propios precios.
+ */
+const loadPriceForRules = async (codClient, user) => {
+  if (user.role === ROLES.client) {
+    if (codClient !== user.cod_client) {
+      throw new ForbiddenError("PRICES_FORBIDDEN");
+    }
+  } else if (!(await Client.exists({ cod_client: codClient }))) {
+    throw new NotFoundError("CLIENT_CODE_NOT_FOUND", {
+      params: { cod_client: codClient },
     });
-  } catch (error) {
-    console.error("Error general en el proceso de carga de productos:", error);
-    res.status(500).json({
-      message: "Error interno del servidor al procesar la carga.",
-      error: error.message,
+  }
+  return loadClientRules(codClient);
+};
+
+/**
+ * @desc    Obtener el catálogo paginado, con filtros por laboratorio, IVA, precio y búsqueda.
+ * @route   GET /api/products
+ * @access  Private
+ */
+export const getAllProducts = asyncHandler(async (req, res) => {
+  const { page, limit, sort, search, priceFor, quantity } = req.joiQuery;
+  const { role } = req.user;
+  const hiddenFields = hiddenFieldsFor(role);
+  const filter = buildProductFilter(req.joiQuery, role);
+
+  const rules = priceFor ? await loadPriceForRules(priceFor, req.user) : null;
+
+  // El precio resuelto parte del precio Medinor; se quita al transformar el documento.
+  const projection = rules
+    ? {}
+    : Object.fromEntries(hiddenFields.map((f) => [f, 0]));
+  if (search) projection.score = { $meta: "textScore" };
+
+  const sortBy = parseSort(
+    sort,
+    search ? { score: { $meta: "textScore" } } : { code: 1 }
+  );
+  for (const field of hiddenFields) delete sortBy[field];
+
+  const [products, total] = await Promise.all([
+    Product.find(filter, projection)
+      .populate("lab", "name")
+      .sort({ ...sortBy, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Product.countDocuments(filter),
+  ]);
+
+  const items = products.map((product) => {
+    const item = transformProductDocument(product, role);
+    if (rules) {
+      const resolved = resolvePrice(product, rules, quantity);
+      if (!resolved) {
+        // el producto no tiene precio para este cliente
+        item.pricing = null;
+      } else {
+        const { list_price, ...pricing } = resolved;
+        item.pricing = hiddenFields.includes("medinor_price")
+          ? pricing
+          : { list_price, ...pricing };
+      }
+    }
+    return item;
+  });
+  res.status(200).json(buildPageResponse({ items, total, page, limit }));
+});
+
+/**
+ * @desc    Exportar el catálogo a .xlsx o .csv con los encabezados que acepta la
+ *          migración, para poder editarlo y volver a importarlo. Acepta los filtros del listado.
+ * @route   GET /api/products/export
+ * @access  Private
+ */
+export const exportProducts = asyncHandler(async (req, res) => {
+  const { sort, format } = req.joiQuery;
+  const filter = buildProductFilter(req.joiQuery, req.user.role);
+
+  // Las filas se leen con un cursor para no cargar todo el catálogo en memoria.
+  const rows = Product.find(filter)
+    .populate("lab", "name")
+    .sort({ ...parseSort(sort, { code: 1 }), _id: 1 })
+    .lean()
+    .cursor()
+    .map((product) => ({
+      Codigo: product.code,
+      Laboratorio: product.lab?.name ?? "",
+      Descripción: product.desc ?? "",
+      "Descripción Adicional": product.extra_desc ?? "",
+      "Notas Artículo": product.notes ?? "",
+      "Cod. IVA": ivaCodeFor(ivaRateFor(product)),
+      "Pr. Medinor": product.medinor_price ?? "",
+      "Pr. Público": product.public_price ?? "",
+      "Pr. Costo": product.price ?? "",
+    }));
+
+  await sendSpreadsheet(res, {
+    rows,
+    headers: Object.keys(PRODUCT_FILE_HEADERS),
+    format,
+    filename: "productos",
+  });
+});
+
+/**
+ * @desc    Obtener un producto por su código, con el laboratorio.
+ * @route   GET /api/products/:code
+ * @access  Private
+ */
+export const getProductByCode = asyncHandler(async (req, res) => {
+  const { role } = req.user;
+  const projection = Object.fromEntries(
+    hiddenFieldsFor(role).map((f) => [f, 0])
+  );
+
+  const product = await Product.findOne({ code: req.params.code }, projection)
+    .populate("lab", "name")
+    .lean();
+
+  if (!product) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND", {
+      params: { code: req.params.code },
+    });
+  }
+
+  res.status(200).json(transformProductDocument(product, role));
+});
+
+/* resuelve el nombre o alias del laboratorio a su _id; null quita el laboratorio */
+const resolveLabId = async (labName) => {
+  if (labName === undefined || labName === null) return labName;
+  const lab = (await resolveLabNames([labName])).get(labName);
+  if (!lab) {
+    throw new BadRequestError("LAB_NAME_NOT_FOUND", {
+      params: { name: labName },
     });
   }
+  return lab._id;
 };
+
+/**
+ * @desc    Crear un producto.
+ * @route   POST /api/products
+ * @access  Private
+ */
+export const createProduct = asyncHandler(async (req, res) => {
+  const { lab, ...fields } = req.joiBody;
+
+  if (await Product.exists({ code: fields.code })) {
+    throw new ConflictError("PRODUCT_DUPLICATE_CODE", {
+      params: { code: fields.code },
+    });
+  }
+
+  const product = await Product.create({
+    ...fields,
+    lab: await resolveLabId(lab),
+  });
+
+  await recordPriceChanges(
+    [{ product: product._id, code: product.code, from: null, to: product }],
+    { source: "manual", actor: actorFromUser(req.user) }
+  );
+
+  req.audit({
+    entity: "Product",
+    action: "create",
+    targetId: product._id,
+    after: product,
+  });
+
+  await product.populate("lab", "name");
+  res.status(201).json({
+    message: "Producto creado correctamente.",
+    data: transformProductDocument(product, req.user.role),
+  });
+});
+
+/**
+ * @desc    Actualizar un producto por su código. Los cambios de precio quedan en el historial.
+ * @route   PUT /api/products/:code
+ * @access  Private
+ */
+export const updateProductByCode = asyncHandler(async (req, res) => {
+  const { lab, ...fields } = req.joiBody;
+
+  const previousProduct = await Product.findOne({
+    code: req.params.code,
+  }).lean();
+  if (!previousProduct) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND", {
+      params: { code: req.params.code },
+    });
+  }
+
+  const update = { ...fields };
+  if (lab !== undefined) update.lab = await resolveLabId(lab);
+
+  const updatedProduct = await Product.findByIdAndUpdate(
+    previousProduct._id,
+    update,
+    { new: true, runValidators: true }
+  )
+    .populate("lab", "name")
+    .lean();
+
+  await recordPriceChanges(
+    [
+      {
+        product: updatedProduct._id,
+        code: updatedProduct.code,
+        from: previousProduct,
+        to: updatedProduct,
+      },
+    ],
+    { source: "manual", actor: actorFromUser(req.user) }
+  );
+
+  req.audit({
+    entity: "Product",
+    action: "update",
+    targetId: updatedProduct._id,
+    before: previousProduct,
+    after: { ...updatedProduct, lab: updatedProduct.lab?._id ?? null },
+  });
+
+  res.status(200).json({
+    message: "Producto actualizado correctamente.",
+    data: transformProductDocument(updatedProduct, req.user.role),
+  });
+});
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { IVA_RATES } from "../../../config/tax.js";
 
 const productSchema = new mongoose.Schema(
   {
@@ -7,7 +8,7 @@ const productSchema = new mongoose.Schema(
     lab: { type: mongoose.Schema.Types.ObjectId, ref: "Lab" },
     desc: { type: String },
     extra_desc: { type: String },
-    iva: { type: Boolean, default: false },
+    iva_rate: { type: Number, enum: IVA_RATES },
     medinor_price: { type: Number },
     public_price: { type: Number },
     price: { type: Number },
@@ -18,14 +19,24 @@ const productSchema = new mongoose.Schema(
   }
 );
 
+productSchema.index({ lab: 1 });
+productSchema.index(
+  { code: "text", desc: "text", extra_desc: "text" },
+  { weights: { code: 10, desc: 5, extra_desc: 1 }, default_language: "spanish" }
+);
+
 const labSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, unique: true },
+    // otros nombres con los que llega el laboratorio en las listas de precios
+    aliases: { type: [String], default: [] },
   },
   {
     timestamps: true,
   }
 );
 
+labSchema.index({ aliases: 1 });
+
 export const Lab = mongoose.model("Lab", labSchema);
 export const Product = mongoose.model("Product", productSchema);
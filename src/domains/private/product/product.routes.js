@@ -1,7 +1,131 @@
 import express from "express";
+import {
+  getProductImage,
+  importProductImages,
+  uploadProductImage,
+} from "../image/image.controller.js";
+import { imageQuerySchema } from "../image/image.validation.js";
+import { getProductStock } from "../inventory/inventory.controller.js";
+import {
+  cancelScheduledPriceChange,
+  getProductPrices,
+  schedulePriceChange,
+} from "../price/price.controller.js";
+import {
+  priceHistoryQuerySchema,
+  schedulePriceChangeSchema,
+} from "../price/price.validation.js";
+import {
+  analyzeProducts,
+  confirmProductMigration,
+  createProduct,
+  exportProducts,
+  getAllProducts,
+  getProductByCode,
+  updateProductByCode,
+} from "./product.controller.js";
+import {
+  parseSpreadsheetRows,
+  uploadImage,
+  uploadSpreadsheet,
+  uploadZip,
+} from "../../../interface/middleware/upload.middleware.js";
+import { addBucketToRequest } from "../../../interface/middleware/bucket.middleware.js";
+import { PRODUCT_FILE_HEADERS } from "../../../config/fileHeaders.js";
+import { authorize } from "../../../interface/middleware/auth.middleware.js";
+import {
+  validateReqBody,
+  validateReqQuery,
+} from "../../../interface/middleware/joi.middleware.js";
+import {
+  confirmProductMigrationSchema,
+  createProductSchema,
+  exportProductsQuerySchema,
+  listProductsQuerySchema,
+  updateProductSchema,
+} from "./product.validation.js";
+import { ADMIN_ROLES, EDITOR_ROLES } from "../../../config/roles.js";
 
 const router = express.Router();
 
-router.route("/").post();
+router
+  .route("/")
+  .get(validateReqQuery(listProductsQuerySchema), getAllProducts)
+  .post(
+    authorize(EDITOR_ROLES),
+    validateReqBody(createProductSchema),
+    createProduct
+  );
+// Antes de "/:code" para que "export" no se tome como un código.
+router.get(
+  "/export",
+  authorize(ADMIN_ROLES),
+  validateReqQuery(exportProductsQuerySchema),
+  exportProducts
+);
+
+router.post(
+  "/analyze",
+  authorize(EDITOR_ROLES),
+  uploadSpreadsheet,
+  parseSpreadsheetRows("products", PRODUCT_FILE_HEADERS),
+  analyzeProducts
+);
+router.post(
+  "/make-migration",
+  authorize(EDITOR_ROLES),
+  validateReqBody(confirmProductMigrationSchema),
+  confirmProductMigration
+);
+
+router.post(
+  "/images/import",
+  authorize(EDITOR_ROLES),
+  uploadZip,
+  addBucketToRequest,
+  importProductImages
+);
+router.put(
+  "/:code/image",
+  authorize(EDITOR_ROLES),
+  uploadImage,
+  addBucketToRequest,
+  uploadProductImage
+);
+router.get(
+  "/:code/image",
+  validateReqQuery(imageQuerySchema),
+  addBucketToRequest,
+  getProductImage
+);
+
+router.get(
+  "/:code/prices",
+  authorize(ADMIN_ROLES),
+  validateReqQuery(priceHistoryQuerySchema),
+  getProductPrices
+);
+router.post(
+  "/:code/prices/scheduled",
+  authorize(EDITOR_ROLES),
+  validateReqBody(schedulePriceChangeSchema),
+  schedulePriceChange
+);
+router.delete(
+  "/:code/prices/scheduled/:id",
+  authorize(EDITOR_ROLES),
+  cancelScheduledPriceChange
+);
+
+router.get("/:code/stock", getProductStock);
+
+router
+  .route("/:code")
+  .get(getProductByCode)
+  .put(
+    authorize(EDITOR_ROLES),
+    validateReqBody(updateProductSchema),
+    updateProductByCode
+  );
 
 export default router;
@@ -0,0 +1,172 @@
+import Joi from "joi";
+import { EXPORT_FORMATS } from "../../../util/spreadsheetWriter.js";
+import { paginationQuery, sortQuery } from "../../../util/pagination.js";
+import { IVA_RATES } from "../../../config/tax.js";
+import {
+  cleanLabName,
+  cleanPrice,
+  cleanProductCode,
+} from "../../../util/productMigrationCleaner.js";
+
+const IVA_RATE_MESSAGE = `"iva_rate" debe ser una de: ${IVA_RATES.join(", ")}.`;
+
+/**
+ * Acepta el precio como número o como texto en formato argentino ("1.234,56").
+ */
+const priceValidator = (value, helpers) => {
+  const price = cleanPrice(value);
+  if (price === undefined || Number.isNaN(price)) {
+    return helpers.message({
+      custom: "{{#label}} debe ser un precio válido y no negativo.",
+    });
+  }
+  return price;
+};
+
+const priceField = Joi.alternatives()
+  .try(Joi.number(), Joi.string())
+  .custom(priceValidator, "Limpieza de precio")
+  .allow(null);
+
+const textField = Joi.string().trim().max(500).allow("", null);
+
+/**
+ * Schema para validar una fila del archivo de precios, ya convertida al formato
+ * del modelo por cleanProductRow. Los precios y el "Cod. IVA" vacíos quedan sin informar.
+ */
+export const productObjectSchema = Joi.object({
+  code: Joi.string().required().messages({
+    "any.required": "Campo 'Codigo' es requerido.",
+  }),
+  lab: Joi.string().allow(null),
+  notes: Joi.string().allow(null),
+  desc: Joi.string().allow(null),
+  extra_desc: Joi.string().allow(null),
+  iva_rate: Joi.any()
+    .valid(...IVA_RATES)
+    .messages({
+      "any.only": "'Cod. IVA' debe ser 1 (exento), 2 (21%) o 3 (10,5%).",
+    }),
+  medinor_price: Joi.number().messages({
+    "number.base": "'Pr. Medinor' no es un precio válido.",
+  }),
+  public_price: Joi.number().messages({
+    "number.base": "'Pr. Público' no es un precio válido.",
+  }),
+  price: Joi.number().messages({
+    "number.base": "'Pr. Costo' no es un precio válido.",
+  }),
+});
+
+/**
+ * Schema para la creación de un producto desde el CRUD.
+ * El laboratorio se indica por nombre, igual que en el archivo de precios.
+ */
+export const createProductSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .max(50)
+    .custom((value) => cleanProductCode(value), "Limpieza de código")
+    .required()
+    .messages({
+      "any.required": `"code" es un campo obligatorio.`,
+    }),
+  lab: Joi.string()
+    .trim()
+    .max(100)
+    .custom((value) => cleanLabName(value), "Limpieza de laboratorio")
+    .allow(null),
+  desc: Joi.string().trim().max(500).required().messages({
+    "any.required": `"desc" es un campo obligatorio.`,
+  }),
+  extra_desc: textField,
+  notes: textField,
+  iva_rate: Joi.number()
+    .valid(...IVA_RATES)
+    .required()
+    .messages({
+      "any.only": IVA_RATE_MESSAGE,
+      "any.required": `"iva_rate" es un campo obligatorio.`,
+    }),
+  medinor_price: priceField,
+  public_price: priceField,
+  price: priceField,
+});
+
+/**
+ * Schema para la actualización de un producto desde el CRUD.
+ * El código no se modifica: es la clave con la que se cruza la lista de precios.
+ */
+export const updateProductSchema = createProductSchema
+  .fork(["code"], (schema) =>
+    schema
+      .forbidden()
+      .messages({ "any.unknown": `"code" no se puede modificar.` })
+  )
+  .fork(["desc", "iva_rate"], (schema) => schema.optional())
+  .min(1)
+  .messages({
+    "object.min": "Debe proporcionar al menos un campo para actualizar.",
+  });
+
+/**
+ * Schema para los filtros del catálogo de productos.
+ */
+export const listProductsQuerySchema = Joi.object({
+  ...paginationQuery,
+  sort: sortQuery([
+    "code",
+    "desc",
+    "medinor_price",
+    "public_price",
+    "createdAt",
+    "updatedAt",
+  ]),
+  lab: Joi.string().hex().length(24).messages({
+    "string.hex": `"lab" debe ser un ID de laboratorio válido.`,
+    "string.length": `"lab" debe ser un ID de laboratorio válido.`,
+  }),
+  iva_rate: Joi.number()
+    .valid(...IVA_RATES)
+    .messages({ "any.only": IVA_RATE_MESSAGE }),
+  // obsoleto, se mantiene por compatibilidad: usar `iva_rate`
+  iva: Joi.boolean(),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0).when("minPrice", {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref("minPrice")),
+  }),
+  search: Joi.string().trim().max(100).allow(""),
+  priceFor: Joi.string().trim().uppercase(),
+  quantity: Joi.number().integer().min(1).default(1),
+});
+
+/**
+ * Schema para exportar productos: los mismos filtros del listado, sin paginación.
+ */
+export const exportProductsQuerySchema = listProductsQuerySchema
+  .fork(["page", "limit", "priceFor", "quantity"], (schema) => schema.strip())
+  .keys({
+    format: Joi.string()
+      .valid(...EXPORT_FORMATS)
+      .default("xlsx")
+      .messages({
+        "any.only": `"format" debe ser uno de: ${EXPORT_FORMATS.join(", ")}.`,
+      }),
+  });
+
+/**
+ * Schema para confirmar una migración de productos ya analizada.
+ * Sin `selected` se confirman todos los productos nuevos y modificados.
+ * Con `atomic` la carga se hace en una transacción: si una fila falla, no se guarda ninguna.
+ */
+export const confirmProductMigrationSchema = Joi.object({
+  analysisId: Joi.string().guid().required().messages({
+    "any.required": `"analysisId" es un campo obligatorio.`,
+    "string.guid": `"analysisId" no es válido.`,
+  }),
+  selected: Joi.object({
+    codes: Joi.array().items(Joi.string().trim()).required(),
+  }),
+  atomic: Joi.boolean().default(false),
+});
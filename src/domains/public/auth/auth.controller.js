@@ -0,0 +1,150 @@
+import bcrypt from "bcrypt";
+import asyncHandler from "express-async-handler";
+import Client from "../../private/client/client.model.js";
+import Admin from "../../private/admin/admin.model.js";
+import { buildAdminPayload } from "../../private/admin/admin.controller.js";
+import {
+  createSession,
+  revokeSession,
+  revokeSubjectSessions,
+  rotateSession,
+  subjectTypeOf,
+} from "../../../util/sessionStore.js";
+import {
+  ForbiddenError,
+  UnauthorizedError,
+} from "../../../util/errorHandler.js";
+import ROLES from "../../../config/roles.js";
+
+/* datos que viajan dentro del token de un cliente */
+const buildClientPayload = (client) => ({
+  id: client._id.toString(),
+  username: client.username,
+  cod_client: client.cod_client,
+  role: ROLES.client,
+  must_change_password: client.must_change_password,
+});
+
+const buildSessionResponse = async (client) => ({
+  ...(await createSession(buildClientPayload(client))),
+  must_change_password: client.must_change_password,
+  client: {
+    id: client._id.toString(),
+    cod_client: client.cod_client,
+    razon_soci: client.razon_soci,
+    username: client.username,
+  },
+});
+
+/**
+ * @desc    Inicia sesión de un cliente y devuelve su token.
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+export const loginClient = asyncHandler(async (req, res) => {
+  const { username, password } = req.joiBody;
+
+  const client = await Client.findOne({ username }).select("+password");
+  const passwordMatches =
+    client && (await bcrypt.compare(password, client.password));
+
+  if (!passwordMatches) {
+    throw new UnauthorizedError("INVALID_CREDENTIALS");
+  }
+
+  if (!client.active) {
+    throw new ForbiddenError("CLIENT_INACTIVE");
+  }
+
+  res.status(200).json(await buildSessionResponse(client));
+});
+
+/**
+ * @desc    Cambia la contraseña del cliente autenticado.
+ * @route   POST /api/auth/change-password
+ * @access  Private (client)
+ */
+export const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.joiBody;
+
+  const client = await Client.findById(req.user.id).select("+password");
+  if (!client || !client.active) {
+    throw new ForbiddenError("CLIENT_INACTIVE");
+  }
+
+  const passwordMatches = await bcrypt.compare(
+    currentPassword,
+    client.password
+  );
+  if (!passwordMatches) {
+    throw new UnauthorizedError("WRONG_CURRENT_PASSWORD");
+  }
+
+  const before = {
+    password: client.password,
+    must_change_password: client.must_change_password,
+  };
+
+  client.password = await bcrypt.hash(newPassword, 10);
+  client.must_change_password = false;
+  await client.save();
+
+  /* la contraseña se guarda como [REDACTED] en el diff */
+  req.audit({
+    entity: "Client",
+    action: "password_change",
+    targetId: client._id,
+    before,
+    after: {
+      password: client.password,
+      must_change_password: client.must_change_password,
+    },
+  });
+
+  await revokeSubjectSessions("client", client._id);
+
+  res.status(200).json({
+    message: "Contraseña actualizada correctamente.",
+    ...(await buildSessionResponse(client)),
+  });
+});
+
+/* vuelve a leer al usuario para que el token refrescado refleje su estado actual */
+const loadSessionPayload = async ({ type, id }) => {
+  if (type === "client") {
+    const client = await Client.findById(id);
+    return client && client.active ? buildClientPayload(client) : null;
+  }
+
+  const admin = await Admin.findById(id);
+  return admin && admin.active ? buildAdminPayload(admin) : null;
+};
+
+/**
+ * @desc    Emite un nuevo token de acceso a partir de un token de refresco.
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refreshSession = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.joiBody;
+  const tokens = await rotateSession(refreshToken, loadSessionPayload);
+  res.status(200).json(tokens);
+});
+
+/**
+ * @desc    Cierra la sesión actual, o todas las del usuario con `allSessions`.
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+export const logout = asyncHandler(async (req, res) => {
+  const { allSessions } = req.joiBody;
+  const { sid, id, role } = req.user;
+
+  if (allSessions) {
+    await revokeSubjectSessions(subjectTypeOf(role), id);
+  } else {
+    await revokeSession(sid);
+  }
+
+  res.status(200).json({ message: "Sesión cerrada correctamente." });
+});
@@ -0,0 +1,55 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  changePassword,
+  loginClient,
+  logout,
+  refreshSession,
+} from "./auth.controller.js";
+import { loginAdmin } from "../../private/admin/admin.controller.js";
+import {
+  adminLoginSchema,
+  changePasswordSchema,
+  loginSchema,
+  logoutSchema,
+  refreshSchema,
+} from "./auth.validation.js";
+import { validateReqBody } from "../../../interface/middleware/joi.middleware.js";
+import authentication from "../../../interface/middleware/auth.middleware.js";
+import ROLES from "../../../config/roles.js";
+
+const router = express.Router();
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 20,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: {
+    status: 429,
+    message: "Demasiados intentos de inicio de sesión. Intente más tarde.",
+  },
+});
+
+router.post("/login", loginLimiter, validateReqBody(loginSchema), loginClient);
+router.post(
+  "/admin/login",
+  loginLimiter,
+  validateReqBody(adminLoginSchema),
+  loginAdmin
+);
+router.post(
+  "/change-password",
+  authentication(ROLES.client, { allowPendingPasswordChange: true }),
+  validateReqBody(changePasswordSchema),
+  changePassword
+);
+router.post("/refresh", validateReqBody(refreshSchema), refreshSession);
+router.post(
+  "/logout",
+  authentication(null, { allowPendingPasswordChange: true }),
+  validateReqBody(logoutSchema),
+  logout
+);
+
+export default router;
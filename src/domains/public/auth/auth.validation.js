@@ -0,0 +1,78 @@
+import Joi from "joi";
+import { validateCuit } from "../../../util/cuit.js";
+
+/* los usuarios que parecen un CUIT se normalizan y validan antes de buscarlos */
+const usernameValidator = (value, helpers) => {
+  if (!/^[\d\s.-]+$/.test(value)) return value;
+
+  const { valid, cuit, reason } = validateCuit(value);
+  if (!valid) {
+    return helpers.message({ custom: reason });
+  }
+  return cuit;
+};
+
+/**
+ * Schema para el inicio de sesión de clientes.
+ */
+export const loginSchema = Joi.object({
+  username: Joi.string().trim().required().custom(usernameValidator).messages({
+    "any.required": `"Usuario" es un campo obligatorio.`,
+    "string.empty": `"Usuario" no puede estar vacío.`,
+  }),
+  password: Joi.string().required().messages({
+    "any.required": `"Contraseña" es un campo obligatorio.`,
+    "string.empty": `"Contraseña" no puede estar vacía.`,
+  }),
+});
+
+/**
+ * Schema para el inicio de sesión de administradores. El usuario es un nombre
+ * común, no un CUIT: se normaliza igual que al crear el administrador.
+ */
+export const adminLoginSchema = Joi.object({
+  username: Joi.string().trim().lowercase().required().messages({
+    "any.required": `"Usuario" es un campo obligatorio.`,
+    "string.empty": `"Usuario" no puede estar vacío.`,
+  }),
+  password: Joi.string().required().messages({
+    "any.required": `"Contraseña" es un campo obligatorio.`,
+    "string.empty": `"Contraseña" no puede estar vacía.`,
+  }),
+});
+
+/**
+ * Schema para el cambio de contraseña del propio cliente.
+ */
+export const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    "any.required": `"Contraseña actual" es un campo obligatorio.`,
+  }),
+  newPassword: Joi.string()
+    .min(8)
+    .max(72)
+    .invalid(Joi.ref("currentPassword"))
+    .required()
+    .messages({
+      "string.min": `"Nueva contraseña" debe tener al menos 8 caracteres.`,
+      "string.max": `"Nueva contraseña" no puede superar los 72 caracteres.`,
+      "any.invalid": `"Nueva contraseña" debe ser distinta de la actual.`,
+      "any.required": `"Nueva contraseña" es un campo obligatorio.`,
+    }),
+});
+
+/**
+ * Schema para refrescar el token de acceso.
+ */
+export const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    "any.required": `"Token de refresco" es un campo obligatorio.`,
+  }),
+});
+
+/**
+ * Schema para el cierre de sesión.
+ */
+export const logoutSchema = Joi.object({
+  allSessions: Joi.boolean().default(false),
+});
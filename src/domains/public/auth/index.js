@@ -1,2 +1,2 @@
-import routes from "./routes.js";
+import routes from "./auth.routes.js";
 export default routes;
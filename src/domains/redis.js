@@ -0,0 +1,15 @@
+import { createClient } from "redis";
+import "dotenv/config";
+
+const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+
+/* sin cola offline: si Redis no está disponible los comandos fallan en lugar de quedar colgados */
+const redis = createClient({ url: REDIS_URL, disableOfflineQueue: true });
+
+redis.on("error", (error) => {
+  console.error("Redis error:", error.message);
+});
+
+export const redisConn = redis.connect();
+
+export default redis;
@@ -0,0 +1,28 @@
+import {
+  auditContextFromRequest,
+  writeAuditEntries,
+} from "../../domains/private/audit/audit.service.js";
+
+/**
+ * Expone `req.audit(entry)` para que los controladores registren sus cambios.
+ * Las entradas se guardan cuando la respuesta terminó con éxito, así una
+ * operación que falla no deja rastros de cambios que no ocurrieron.
+ */
+export const activityLogger = (req, res, next) => {
+  const pendingEntries = [];
+
+  req.audit = (entry) => {
+    pendingEntries.push(entry);
+  };
+
+  res.on("finish", () => {
+    if (res.statusCode >= 400 || pendingEntries.length === 0) return;
+
+    const context = auditContextFromRequest(req, res);
+    writeAuditEntries(
+      pendingEntries.map((entry) => ({ ...context, ...entry }))
+    );
+  });
+
+  next();
+};
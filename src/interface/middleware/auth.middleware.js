@@ -1,27 +1,67 @@
 import jsonwebtoken from "jsonwebtoken";
+import { isSessionActive } from "../../util/sessionStore.js";
+import {
+  AppError,
+  ForbiddenError,
+  UnauthorizedError,
+} from "../../util/errorHandler.js";
 
 const { TOKEN_KEY } = process.env;
 
-const authentication = (roles) => {
-  return (req, res, next) => {
+/**
+ * Verifica el token, que su sesión no haya sido revocada y, opcionalmente, el rol del usuario.
+ * Los clientes con `must_change_password` solo pueden acceder a las rutas
+ * que lo permitan explícitamente con `allowPendingPasswordChange`.
+ */
+const authentication = (roles, { allowPendingPasswordChange = false } = {}) => {
+  return async (req, res, next) => {
     const token = req.headers["x-access-token"];
 
     if (!token) {
-      return res.status(403).json({ message: "token not provided" });
+      return next(new UnauthorizedError("TOKEN_MISSING"));
     }
 
+    let decodedToken;
     try {
-      const decodedToken = jsonwebtoken.verify(token, TOKEN_KEY);
-      req.user = decodedToken;
+      decodedToken = jsonwebtoken.verify(token, TOKEN_KEY);
+    } catch (error) {
+      return next(new UnauthorizedError("TOKEN_INVALID"));
+    }
 
-      if (roles && ![].concat(roles).includes(req.user.role)) {
-        return res.status(401).json({ message: "unauthorized" });
+    try {
+      if (!(await isSessionActive(decodedToken.sid))) {
+        return next(new UnauthorizedError("TOKEN_REVOKED"));
       }
-
-      return next();
     } catch (error) {
-      return res.status(401).json({ message: "invalid token" });
+      return next(new AppError("SERVICE_UNAVAILABLE"));
+    }
+
+    req.user = decodedToken;
+
+    if (roles && ![].concat(roles).includes(req.user.role)) {
+      return next(new ForbiddenError("ROLE_NOT_ALLOWED"));
+    }
+
+    if (req.user.must_change_password && !allowPendingPasswordChange) {
+      return next(new ForbiddenError("PASSWORD_CHANGE_REQUIRED"));
+    }
+
+    return next();
+  };
+};
+
+/**
+ * Restringe una ruta a ciertos roles. Debe usarse después de `authentication`.
+ */
+export const authorize = (roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError());
+    }
+    if (![].concat(roles).includes(req.user.role)) {
+      return next(new ForbiddenError("ROLE_NOT_ALLOWED"));
     }
+    return next();
   };
 };
 
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+const IMAGE_BUCKET = process.env.IMAGE_BUCKET_NAME || "productImages";
+
+let bucket;
+
+/* el bucket se crea al primer uso, cuando la conexión ya está abierta */
+export const getImageBucket = () => {
+  bucket ??= new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: IMAGE_BUCKET,
+  });
+  return bucket;
+};
+
+/**
+ * Deja en req.bucket el bucket de GridFS donde se guardan las imágenes de productos.
+ */
+export const addBucketToRequest = (req, res, next) => {
+  req.bucket = getImageBucket();
+  next();
+};
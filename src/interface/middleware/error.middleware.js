@@ -1,42 +1,88 @@
-export const errorMiddleware = (error, req, res, next) => {
-  const statusCode = error.status || 500;
+import multer from "multer";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  ValidationError,
+} from "../../util/errorHandler.js";
+import {
+  CODE_BY_STATUS,
+  SUPPORTED_LANGUAGES,
+} from "../../config/errorMessages.js";
+
+/* el idioma de la respuesta según Accept-Language; español si no pide ninguno soportado */
+const languageOf = (req) =>
+  req.acceptsLanguages(...SUPPORTED_LANGUAGES) || SUPPORTED_LANGUAGES[0];
+
+/**
+ * Convierte los errores de Joi, Mongoose, multer y express.json en AppError.
+ * Los que no reconoce quedan como INTERNAL_ERROR, sin exponer el mensaje original.
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
 
   if (error.isJoi) {
-    console.log(error);
+    return new ValidationError(
+      error.details.map((detail) => detail.message.replace(/"/g, "'"))
+    );
+  }
 
-    return res.status(400).json({
-      status: 400,
-      message: "Error en la validación de los datos de entrada.",
-      details: error.details.map((detail) => detail.message.replace(/"/g, "'")),
+  // Mongoose: un _id u otro valor que no se puede convertir al tipo del schema.
+  if (error.name === "CastError") {
+    return new BadRequestError("INVALID_ID", {
+      params: { path: error.path, value: error.value },
+    });
+  }
+  if (error.name === "ValidationError" && error.errors) {
+    return new ValidationError(
+      Object.values(error.errors).map((detail) => detail.message)
+    );
+  }
+  if (error.code === 11000) {
+    return new ConflictError("DUPLICATE_KEY", {
+      params: { fields: Object.keys(error.keyValue || {}).join(", ") },
     });
   }
-  console.log(error);
 
-  return res.status(statusCode).json({
-    status: statusCode,
-    message: error.message || "Internal server error",
-  });
-};
+  if (error instanceof multer.MulterError) {
+    return error.code === "LIMIT_FILE_SIZE"
+      ? new BadRequestError("FILE_TOO_LARGE")
+      : new BadRequestError("FILE_UPLOAD_FAILED", {
+          params: { reason: error.message },
+        });
+  }
+
+  // express.json
+  if (error.type === "entity.parse.failed") {
+    return new BadRequestError("INVALID_JSON");
+  }
+  if (error.type === "entity.too.large") {
+    return new AppError("PAYLOAD_TOO_LARGE");
+  }
+
+  // Errores con estado de librerías o código anterior a AppError.
+  if (error.status && error.status < 500) {
+    return new AppError(CODE_BY_STATUS[error.status] || "BAD_REQUEST", {
+      status: error.status,
+      message: error.message,
+    });
+  }
 
-export const endpointNotFound = (req, res) => {
-  res.status(404).json({
-    status: 404,
-    message: "Endpoint not found, perhaps you're using the wrong method?",
-    url: req.protocol + "://" + req.get("host") + req.originalUrl,
-    body: req.body,
-    params: req.params,
-    method: req.method,
-  });
+  return new AppError("INTERNAL_ERROR");
 };
 
-// export const multerErrorHandler = (err, req, res, next) => {
-//   if (err instanceof multer.MulterError) {
-//     if (err.code === "LIMIT_FILE_SIZE") {
-//       return res.status(400).json({ error: "File size cannot exceed 2MB" });
-//     }
-//   }
-//   if (err.message === "Only PDF files are allowed") {
-//     return res.status(400).json({ error: err.message });
-//   }
-//   next(err);
-// };
+export const errorMiddleware = (error, req, res, next) => {
+  const appError = toAppError(error);
+  if (appError.status >= 500) {
+    console.error(error);
+  }
+
+  const body = {
+    status: appError.status,
+    code: appError.code,
+    message: appError.messageFor(languageOf(req)),
+  };
+  if (appError.details) body.details = appError.details;
+
+  return res.status(appError.status).json(body);
+};
@@ -9,3 +9,15 @@ export const validateReqBody = (schema) => {
     next();
   };
 };
+
+export const validateReqQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, { abortEarly: false });
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+    req.joiQuery = value;
+    next();
+  };
+};
@@ -0,0 +1,92 @@
+import path from "path";
+import multer from "multer";
+import {
+  SPREADSHEET_EXTENSIONS,
+  mapHeaders,
+  parseSpreadsheet,
+} from "../../util/spreadsheetParser.js";
+import { BadRequestError } from "../../util/errorHandler.js";
+
+const MAX_FILE_SIZE_MB = Number(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10;
+export const IMAGE_MAX_FILE_SIZE_MB =
+  Number(process.env.IMAGE_MAX_FILE_SIZE_MB) || 5;
+const ZIP_MAX_FILE_SIZE_MB = Number(process.env.ZIP_MAX_FILE_SIZE_MB) || 100;
+
+export const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+/**
+ * Recibe un único archivo de planilla en el campo "file" y lo deja en memoria (req.file).
+ */
+export const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(
+        new BadRequestError("UNSUPPORTED_FILE_FORMAT", {
+          params: { formats: SPREADSHEET_EXTENSIONS.join(", ") },
+        })
+      );
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+/**
+ * Recibe una imagen JPEG, PNG o WebP en el campo "image" y la deja en memoria (req.file).
+ * El formato real se verifica al procesarla, no solo por el tipo declarado.
+ */
+export const uploadImage = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_FILE_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      return cb(
+        new BadRequestError("UNSUPPORTED_FILE_FORMAT", {
+          params: { formats: "JPEG, PNG, WebP" },
+        })
+      );
+    }
+    cb(null, true);
+  },
+}).single("image");
+
+/**
+ * Recibe un archivo .zip en el campo "file" y lo deja en memoria (req.file).
+ */
+export const uploadZip = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ZIP_MAX_FILE_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== ".zip") {
+      return cb(
+        new BadRequestError("UNSUPPORTED_FILE_FORMAT", {
+          params: { formats: ".zip" },
+        })
+      );
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+/**
+ * Convierte el archivo subido en filas y las deja en req.body[bodyKey] con los
+ * encabezados canónicos. Si no hay archivo, normaliza las filas ya enviadas como JSON.
+ * @param {string} bodyKey - La propiedad del body que espera el controlador (ej: "clients").
+ * @param {Object} headerMap - El mapa de encabezados de src/config/fileHeaders.js.
+ */
+export const parseSpreadsheetRows = (bodyKey, headerMap) => {
+  return (req, res, next) => {
+    req.body = req.body || {};
+
+    if (req.file) {
+      req.body[bodyKey] = mapHeaders(parseSpreadsheet(req.file), headerMap);
+      req.body.filename = req.file.originalname;
+    } else if (Array.isArray(req.body[bodyKey])) {
+      req.body[bodyKey] = mapHeaders(req.body[bodyKey], headerMap);
+    }
+
+    next();
+  };
+};
@@ -1,26 +1,47 @@
 import express from "express";
 import clientRoutes from "../../domains/private/client/client.routes.js";
 import productRoutes from "../../domains/private/product/product.routes.js";
+import labRoutes from "../../domains/private/lab/lab.routes.js";
+import migrationRoutes from "../../domains/private/migration/migration.routes.js";
+import auditRoutes from "../../domains/private/audit/audit.routes.js";
+import jobRoutes from "../../domains/private/job/job.routes.js";
+import orderRoutes from "../../domains/private/order/order.routes.js";
+import inventoryRoutes from "../../domains/private/inventory/inventory.routes.js";
+import priceRuleRoutes from "../../domains/private/priceRule/priceRule.routes.js";
+import adminRoutes from "../../domains/private/admin/admin.routes.js";
 import statusRoutes from "../../domains/public/status/status.routes.js";
+import authRoutes from "../../domains/public/auth/index.js";
+import authentication from "../middleware/auth.middleware.js";
+import ROLES, { ADMIN_ROLES, EDITOR_ROLES } from "../../config/roles.js";
 
-// import adminRoutes from "../../domains/private/admin/admin.routes.js";
 // import accountRoutes from "../../domains/public/accounts/account.routes.js";
 // import documentRoutes from "../../domains/private/users/document/document.routes.js";
-// router.use("/admin/user", auth(ROLES.admin), adminUserRoutes);
-// import auth from "../middleware/auth.middleware.js";
-// import ROLES from "../../config/roles.js";
 // import { multerErrorHandler } from "../middleware/error.middleware.js";
 // import { addBucketToRequest } from "../middleware/bucket.middleware.js";
 
 const router = express.Router();
 
 router.use("/", statusRoutes);
-router.use("/clients", clientRoutes);
-router.use("/products", productRoutes);
+router.use("/auth", authRoutes);
+router.use("/clients", authentication(ADMIN_ROLES), clientRoutes);
+router.use(
+  "/products",
+  authentication([...ADMIN_ROLES, ROLES.client]),
+  productRoutes
+);
+router.use("/labs", authentication([...ADMIN_ROLES, ROLES.client]), labRoutes);
+router.use(
+  "/orders",
+  authentication([...ADMIN_ROLES, ROLES.client]),
+  orderRoutes
+);
+router.use("/inventory", authentication(ADMIN_ROLES), inventoryRoutes);
+router.use("/price-rules", authentication(ADMIN_ROLES), priceRuleRoutes);
+router.use("/migrations", authentication(ADMIN_ROLES), migrationRoutes);
+router.use("/audit", authentication(EDITOR_ROLES), auditRoutes);
+router.use("/jobs", authentication(EDITOR_ROLES), jobRoutes);
+router.use("/admins", authentication(ROLES.superadmin), adminRoutes);
 
-// // router.use("/admin", auth([ROLES.admin, ROLES.superadmin]), adminRoutes);
-// router.use("/admin", adminRoutes);
-// router.use("/status", statusRoutes);
 // router.use("/account", accountRoutes);
 // router.use(
 //   "/document",
@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import redis from "../domains/redis.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "./errorHandler.js";
+
+const ANALYSIS_TTL = Number(process.env.ANALYSIS_TTL_SECONDS) || 30 * 60;
+
+const analysisKey = (kind, id) => `analysis:${kind}:${id}`;
+const confirmedKey = (kind, id) => `${analysisKey(kind, id)}:confirmed`;
+
+/**
+ * Guarda el resultado de un análisis para que el paso de confirmación lo use
+ * en lugar de los datos que reenvía el navegador.
+ * @param {string} kind - El tipo de migración (ej: "clients", "products").
+ * @param {Object} user - El usuario que analizó el archivo (req.user).
+ * @param {Object} payload - El resultado del análisis.
+ * @returns {Promise<{ analysisId: string, expiresAt: string }>}
+ */
+export const saveAnalysis = async (kind, user, payload) => {
+  const analysisId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + ANALYSIS_TTL * 1000);
+
+  await redis.set(
+    analysisKey(kind, analysisId),
+    JSON.stringify({ owner: user.id, payload }),
+    { expiration: { type: "EX", value: ANALYSIS_TTL } }
+  );
+
+  return { analysisId, expiresAt: expiresAt.toISOString() };
+};
+
+/**
+ * Lee un análisis guardado. Solo puede leerlo el usuario que lo generó.
+ * @param {string} kind - El tipo de migración.
+ * @param {string} analysisId - El id devuelto por saveAnalysis.
+ * @param {Object} user - El usuario autenticado (req.user).
+ * @returns {Promise<Object>} El resultado del análisis.
+ */
+export const getAnalysis = async (kind, analysisId, user) => {
+  const raw = await redis.get(analysisKey(kind, analysisId));
+  if (!raw) {
+    throw new NotFoundError("ANALYSIS_NOT_FOUND");
+  }
+
+  const { owner, payload } = JSON.parse(raw);
+  if (owner !== user.id) {
+    throw new ForbiddenError("ANALYSIS_FORBIDDEN");
+  }
+
+  return payload;
+};
+
+/**
+ * Marca un análisis como confirmado, para que no pueda confirmarse dos veces.
+ * El análisis se sigue pudiendo leer hasta que expira, ej: para descargar el reporte de errores.
+ * @param {string} kind - El tipo de migración.
+ * @param {string} analysisId - El id devuelto por saveAnalysis.
+ */
+export const claimAnalysis = async (kind, analysisId) => {
+  const claimed = await redis.set(confirmedKey(kind, analysisId), "1", {
+    condition: "NX",
+    expiration: { type: "EX", value: ANALYSIS_TTL },
+  });
+  if (claimed === null) {
+    throw new ConflictError("ANALYSIS_ALREADY_CONFIRMED");
+  }
+};
+
+/**
+ * Lee un análisis y lo marca como confirmado, ver claimAnalysis.
+ * @param {string} kind - El tipo de migración.
+ * @param {string} analysisId - El id devuelto por saveAnalysis.
+ * @param {Object} user - El usuario autenticado (req.user).
+ * @returns {Promise<Object>} El resultado del análisis.
+ */
+export const consumeAnalysis = async (kind, analysisId, user) => {
+  const payload = await getAnalysis(kind, analysisId, user);
+  await claimAnalysis(kind, analysisId);
+  return payload;
+};
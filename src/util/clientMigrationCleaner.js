@@ -1,4 +1,5 @@
 // src/utils/dataCleaner.js
+import { normalizeCuit } from "./cuit.js";
 
 /**
  * Limpia y normaliza el Cód. Cliente.
@@ -18,14 +19,12 @@ export const cleanCodClient = (rawCod) => {
 
 /**
  * Limpia y normaliza el Identificador Fiscal (CUIT).
- * Extrae únicamente los dígitos numéricos.
+ * Extrae únicamente los dígitos numéricos; la validación del dígito verificador
+ * se hace en el schema (ver util/cuit.js).
  * @param {*} rawCuit - El valor crudo del CUIT.
  * @returns {string} El CUIT conteniendo solo números.
  */
-export const cleanIdentiftri = (rawCuit) => {
-  if (typeof rawCuit !== "string" && typeof rawCuit !== "number") return "";
-  return String(rawCuit).replace(/\D/g, "");
-};
+export const cleanIdentiftri = (rawCuit) => normalizeCuit(rawCuit);
 
 /**
  * Limpia y normaliza la Razón Social.
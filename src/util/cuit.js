@@ -0,0 +1,85 @@
+/* prefijos de tipo habilitados por AFIP: personas (20, 23, 24, 27) y empresas (30, 33, 34) */
+export const CUIT_PREFIXES = ["20", "23", "24", "27", "30", "33", "34"];
+
+const CHECK_WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+/**
+ * Normaliza un CUIT dejando solo sus dígitos.
+ * @param {*} rawCuit - El CUIT con o sin guiones, puntos o espacios.
+ * @returns {string} Los dígitos del CUIT.
+ */
+export const normalizeCuit = (rawCuit) => {
+  if (typeof rawCuit !== "string" && typeof rawCuit !== "number") return "";
+  return String(rawCuit).replace(/\D/g, "");
+};
+
+/**
+ * Calcula el dígito verificador (módulo 11) de los primeros 10 dígitos del CUIT.
+ * @param {string} base - Los 10 primeros dígitos.
+ * @returns {number|null} El dígito esperado, o null si la combinación no admite ninguno.
+ */
+export const computeCuitCheckDigit = (base) => {
+  const sum = CHECK_WEIGHTS.reduce(
+    (total, weight, index) => total + weight * Number(base[index]),
+    0
+  );
+  const result = 11 - (sum % 11);
+  if (result === 11) return 0;
+  if (result === 10) return null;
+  return result;
+};
+
+/**
+ * Valida un CUIT: longitud, prefijo de tipo y dígito verificador.
+ * @param {*} rawCuit - El CUIT a validar.
+ * @returns {{ valid: boolean, cuit: string, reason?: string }} El CUIT normalizado y, si no es válido, el motivo.
+ */
+export const validateCuit = (rawCuit) => {
+  const cuit = normalizeCuit(rawCuit);
+
+  if (cuit.length !== 11) {
+    return {
+      valid: false,
+      cuit,
+      reason: "El CUIT debe contener exactamente 11 dígitos numéricos.",
+    };
+  }
+
+  const prefix = cuit.slice(0, 2);
+  if (!CUIT_PREFIXES.includes(prefix)) {
+    return {
+      valid: false,
+      cuit,
+      reason: `El prefijo '${prefix}' no corresponde a un tipo de CUIT válido (${CUIT_PREFIXES.join(", ")}).`,
+    };
+  }
+
+  const expected = computeCuitCheckDigit(cuit.slice(0, 10));
+  if (expected === null || expected !== Number(cuit[10])) {
+    return {
+      valid: false,
+      cuit,
+      reason: `El dígito verificador del CUIT ${formatCuit(cuit)} es incorrecto.`,
+    };
+  }
+
+  return { valid: true, cuit };
+};
+
+/**
+ * Indica si un CUIT es válido.
+ * @param {*} rawCuit - El CUIT a validar.
+ * @returns {boolean}
+ */
+export const isValidCuit = (rawCuit) => validateCuit(rawCuit).valid;
+
+/**
+ * Da formato XX-XXXXXXXX-X a un CUIT. Si no tiene 11 dígitos lo devuelve sin cambios.
+ * @param {*} rawCuit - El CUIT a formatear.
+ * @returns {string} El CUIT formateado.
+ */
+export const formatCuit = (rawCuit) => {
+  const cuit = normalizeCuit(rawCuit);
+  if (cuit.length !== 11) return String(rawCuit ?? "");
+  return `${cuit.slice(0, 2)}-${cuit.slice(2, 10)}-${cuit.slice(10)}`;
+};
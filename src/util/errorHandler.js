@@ -1,6 +1,87 @@
-export const handleError = (message, status) => {
-  const error = new Error(message);
-  error.status = status || 500;
-  console.log(error);
-  throw error;
+import { ERROR_CODES } from "../config/errorMessages.js";
+
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, key) =>
+    params[key] === undefined ? match : String(params[key])
+  );
+
+/**
+ * Traduce un código de error al idioma pedido.
+ * @param {string} code - El código, ver ERROR_CODES.
+ * @param {"es"|"en"} language - El idioma.
+ * @param {Object} [params] - Los valores de los parámetros del mensaje.
+ * @returns {string} El mensaje.
+ */
+export const translateError = (code, language, params = {}) => {
+  const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+  return interpolate(entry[language] || entry.es, params);
 };
+
+/**
+ * Error de la API con un código estable y un mensaje traducible.
+ * El mensaje del Error es el español, para los logs y los trabajos en segundo plano.
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} code - El código, ver ERROR_CODES.
+   * @param {Object} [options]
+   * @param {Object} [options.params] - Los parámetros del mensaje.
+   * @param {number} [options.status] - El estado HTTP, si no es el del código.
+   * @param {string} [options.message] - Un mensaje propio en español; en inglés se usa el del código.
+   * @param {string[]} [options.details] - El detalle de cada error, ej: los de validación.
+   */
+  constructor(code, { params = {}, status, message, details } = {}) {
+    super(message || translateError(code, "es", params));
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status || ERROR_CODES[code]?.status || 500;
+    this.params = params;
+    this.customMessage = message;
+    this.details = details;
+  }
+
+  /**
+   * El mensaje en el idioma pedido.
+   * @param {"es"|"en"} language
+   */
+  messageFor(language) {
+    if (this.customMessage && language === "es") return this.customMessage;
+    return translateError(this.code, language, this.params);
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(code = "BAD_REQUEST", options = {}) {
+    super(code, { status: 400, ...options });
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(details = [], options = {}) {
+    super("VALIDATION_FAILED", { status: 400, details, ...options });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(code = "UNAUTHORIZED", options = {}) {
+    super(code, { status: 401, ...options });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(code = "FORBIDDEN", options = {}) {
+    super(code, { status: 403, ...options });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(code = "NOT_FOUND", options = {}) {
+    super(code, { status: 404, ...options });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(code = "CONFLICT", options = {}) {
+    super(code, { status: 409, ...options });
+  }
+}
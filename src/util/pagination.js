@@ -0,0 +1,58 @@
+import Joi from "joi";
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Campos comunes de paginación para los schemas de query.
+ */
+export const paginationQuery = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+};
+
+/**
+ * Schema de ordenamiento: lista separada por comas, "-" adelante para descendente.
+ * Ej: "razon_soci,-createdAt".
+ * @param {string[]} allowedFields - Los campos por los que se permite ordenar.
+ */
+export const sortQuery = (allowedFields) =>
+  Joi.string()
+    .pattern(new RegExp(`^-?(${allowedFields.join("|")})(,-?(${allowedFields.join("|")}))*$`))
+    .messages({
+      "string.pattern.base": `"sort" solo admite los campos: ${allowedFields.join(", ")}.`,
+    });
+
+/**
+ * Convierte el parámetro `sort` al formato de Mongoose.
+ * @param {string} [sort] - Ej: "razon_soci,-createdAt".
+ * @param {Object} [fallback] - El orden por defecto.
+ * @returns {Object} Ej: `{ razon_soci: 1, createdAt: -1 }`.
+ */
+export const parseSort = (sort, fallback = { createdAt: -1 }) => {
+  if (!sort) return fallback;
+  return Object.fromEntries(
+    sort
+      .split(",")
+      .map((field) =>
+        field.startsWith("-") ? [field.slice(1), -1] : [field, 1]
+      )
+  );
+};
+
+/**
+ * Escapa un texto para usarlo de forma literal dentro de una RegExp.
+ */
+export const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Arma la respuesta estándar de un listado paginado.
+ */
+export const buildPageResponse = ({ items, total, page, limit }) => ({
+  items,
+  total,
+  page,
+  limit,
+  totalPages: Math.ceil(total / limit),
+});
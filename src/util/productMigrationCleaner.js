@@ -0,0 +1,80 @@
+import { IVA_CODES } from "../config/tax.js";
+
+/**
+ * Convierte un número escrito en formato argentino ("1.234,56") a Number.
+ * Con un solo separador, la coma es decimal; el punto es de miles solo si
+ * separa grupos de tres dígitos ("1.234" es 1234, "12.5" es 12,5), así también
+ * se leen los valores con punto decimal que escriben las exportaciones en .csv.
+ * @param {*} raw - El valor crudo de la celda.
+ * @returns {number|undefined} El número, `undefined` si la celda está vacía o NaN si no es un número.
+ */
+export const parseArgentineNumber = (raw) => {
+  if (typeof raw === "number") return raw;
+  const text = String(raw ?? "")
+    .replace(/[$\s]/g, "")
+    .trim();
+  if (!text) return undefined;
+
+  let normalized = text;
+  if (text.includes(",")) {
+    normalized = text.replace(/\./g, "").replace(",", ".");
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+    normalized = text.replace(/\./g, "");
+  }
+
+  return /^-?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+};
+
+/**
+ * Limpia un precio de la planilla.
+ * @param {*} raw - El valor crudo del precio.
+ * @returns {number|undefined} El precio, `undefined` si está vacío o NaN si no es válido.
+ */
+export const cleanPrice = (raw) => {
+  const price = parseArgentineNumber(raw);
+  return price === undefined || price >= 0 ? price : NaN;
+};
+
+/**
+ * Traduce el "Cod. IVA" del sistema de gestión a la alícuota del producto.
+ * Acepta el código (1, 2, 3), la alícuota ("21", "10,5", "0") o "EXENTO".
+ * @param {*} raw - El valor crudo del código de IVA.
+ * @returns {number|undefined} La alícuota, `undefined` si está vacío o NaN si no se reconoce.
+ */
+export const cleanIvaCode = (raw) => {
+  const text = String(raw ?? "")
+    .trim()
+    .toUpperCase()
+    .replace("%", "");
+  if (!text) return undefined;
+  if (text === "EXENTO") return 0;
+  if (IVA_CODES[text] !== undefined) return IVA_CODES[text];
+
+  const rate = parseArgentineNumber(text);
+  return Object.values(IVA_CODES).includes(rate) ? rate : NaN;
+};
+
+/**
+ * Limpia el código de producto. Solo quita los espacios de los extremos: el código
+ * se guarda tal como está escrito, así sigue coincidiendo con los ya cargados y con
+ * las rutas que lo reciben en la URL (ej: GET /api/products/:code).
+ * @param {*} rawCode - El valor crudo del código.
+ * @returns {string|null} El código limpio, o null si está vacío.
+ */
+export const cleanProductCode = (rawCode) => {
+  const code = String(rawCode ?? "").trim();
+  return code || null;
+};
+
+/**
+ * Limpia y normaliza el nombre del laboratorio: mayúsculas y sin espacios repetidos.
+ * @param {*} rawName - El valor crudo del laboratorio.
+ * @returns {string|null} El nombre limpio, o null si está vacío.
+ */
+export const cleanLabName = (rawName) => {
+  const name = String(rawName ?? "")
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, " ");
+  return name || null;
+};
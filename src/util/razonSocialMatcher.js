@@ -0,0 +1,232 @@
+/* abreviaturas frecuentes en los nombres de farmacias y droguerías */
+const ABBREVIATIONS = {
+  FCIA: "FARMACIA",
+  FCIAS: "FARMACIA",
+  FARM: "FARMACIA",
+  FARMACIAS: "FARMACIA",
+  DROG: "DROGUERIA",
+  DROGUE: "DROGUERIA",
+  DROGUERIAS: "DROGUERIA",
+  PERF: "PERFUMERIA",
+  STA: "SANTA",
+  STO: "SANTO",
+  SN: "SAN",
+  DR: "DOCTOR",
+  DRA: "DOCTORA",
+  GRAL: "GENERAL",
+  HNOS: "HERMANOS",
+  CIA: "COMPANIA",
+  LAB: "LABORATORIO",
+  LABS: "LABORATORIO",
+};
+
+/* formas societarias y conectores que no distinguen a un cliente de otro */
+const IGNORED_TOKENS = new Set([
+  "SA",
+  "SAS",
+  "SAU",
+  "SAC",
+  "SACI",
+  "SAIC",
+  "SACIF",
+  "SAICF",
+  "SAICYF",
+  "SRL",
+  "SH",
+  "SC",
+  "SCS",
+  "SCA",
+  "SE",
+  "SOC",
+  "SOCIEDAD",
+  "ANONIMA",
+  "RESPONSABILIDAD",
+  "LIMITADA",
+  "DE",
+  "DEL",
+  "LA",
+  "EL",
+  "LOS",
+  "LAS",
+  "Y",
+  "E",
+]);
+
+/* palabras muy comunes que no sirven para agrupar candidatos */
+const GENERIC_TOKENS = new Set([
+  "FARMACIA",
+  "DROGUERIA",
+  "PERFUMERIA",
+  "SAN",
+  "SANTA",
+  "SANTO",
+  "NUEVA",
+  "NUEVO",
+  "CENTRAL",
+]);
+
+/**
+ * Normaliza una Razón Social para compararla con otras.
+ * Quita acentos, puntuación, formas societarias y expande abreviaturas.
+ * Ej: "FCIA. SAN JOSÉ S.R.L." -> "FARMACIA SAN JOSE".
+ * @param {*} rawRazon - La Razón Social.
+ * @param {Object} [abbreviations] - Las abreviaturas a expandir, ABBREVIATIONS por defecto.
+ * @returns {string} La Razón Social normalizada.
+ */
+export const normalizeRazonSocial = (
+  rawRazon,
+  abbreviations = ABBREVIATIONS
+) => {
+  const words = String(rawRazon || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/\./g, " ")
+    .replace(/[^A-Z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+  // Une siglas separadas en letras sueltas: "S R L" -> "SRL".
+  const tokens = [];
+  let initials = "";
+  for (const word of words) {
+    if (word.length === 1 && /[A-Z]/.test(word)) {
+      initials += word;
+      continue;
+    }
+    if (initials) tokens.push(initials);
+    initials = "";
+    tokens.push(word);
+  }
+  if (initials) tokens.push(initials);
+
+  return tokens
+    .map((token) => abbreviations[token] || token)
+    .filter((token) => !IGNORED_TOKENS.has(token))
+    .join(" ");
+};
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, "");
+  const result = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    result.set(pair, (result.get(pair) || 0) + 1);
+  }
+  return result;
+};
+
+/**
+ * Similitud entre dos nombres ya normalizados (coeficiente de Dice sobre bigramas).
+ * @returns {number} Un valor entre 0 y 1.
+ */
+export const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  let sizeA = 0;
+  let sizeB = 0;
+  let shared = 0;
+
+  for (const count of pairsB.values()) sizeB += count;
+  for (const [pair, count] of pairsA) {
+    sizeA += count;
+    shared += Math.min(count, pairsB.get(pair) || 0);
+  }
+
+  return sizeA + sizeB === 0 ? 0 : (2 * shared) / (sizeA + sizeB);
+};
+
+/* tokens que distinguen al nombre; si todos son genéricos se usan todos */
+const distinctiveTokens = (normalized, genericTokens) => {
+  const tokens = normalized.split(" ").filter(Boolean);
+  const distinctive = tokens.filter((token) => !genericTokens.has(token));
+  return distinctive.length > 0 ? distinctive : tokens;
+};
+
+/*
+ * Promedia la similitud del nombre completo con la de su parte distintiva,
+ * para que "FARMACIA SAN JOSE" y "FARMACIA SAN JUAN" no parezcan el mismo cliente.
+ */
+const scoreNames = (a, b) =>
+  (similarity(a.normalized, b.normalized) +
+    similarity(a.distinctive, b.distinctive)) /
+  2;
+
+const toEntry = (name, { abbreviations, genericTokens }) => {
+  const normalized = normalizeRazonSocial(name, abbreviations);
+  const tokens = distinctiveTokens(normalized, genericTokens);
+  return { normalized, tokens, distinctive: tokens.join(" ") };
+};
+
+/**
+ * Crea un índice de nombres para buscar posibles duplicados.
+ * @param {Object[]} records - Los registros a indexar.
+ * @param {Function} getName - Devuelve la Razón Social de un registro.
+ * @param {Object} [options] - Para comparar otro tipo de nombres (ej: laboratorios).
+ * @param {Object} [options.abbreviations] - Abreviaturas que se suman a ABBREVIATIONS.
+ * @param {string[]} [options.genericTokens] - Palabras que se suman a GENERIC_TOKENS.
+ * @returns {{ findSimilar: Function }}
+ */
+export const createRazonSocialIndex = (
+  records,
+  getName,
+  { abbreviations = {}, genericTokens = [] } = {}
+) => {
+  const config = {
+    abbreviations: { ...ABBREVIATIONS, ...abbreviations },
+    genericTokens: new Set([...GENERIC_TOKENS, ...genericTokens]),
+  };
+  const entries = records.map((record) => ({
+    record,
+    ...toEntry(getName(record), config),
+  }));
+
+  const byToken = new Map();
+  for (const entry of entries) {
+    for (const token of entry.tokens) {
+      if (!byToken.has(token)) byToken.set(token, []);
+      byToken.get(token).push(entry);
+    }
+  }
+
+  /**
+   * Busca los registros con un nombre parecido, ordenados por similitud.
+   * @param {string} name - La Razón Social a buscar.
+   * @param {Object} options
+   * @param {number} options.threshold - La similitud mínima (0 a 1).
+   * @param {number} [options.limit] - La cantidad máxima de candidatos.
+   * @param {Function} [options.exclude] - Descarta registros (ej: el mismo cliente).
+   * @returns {{ record: Object, score: number }[]}
+   */
+  const findSimilar = (
+    name,
+    { threshold, limit = 5, exclude = () => false }
+  ) => {
+    const target = toEntry(name, config);
+    const seen = new Set();
+    const matches = [];
+
+    for (const token of target.tokens) {
+      for (const entry of byToken.get(token) || []) {
+        if (seen.has(entry) || exclude(entry.record)) continue;
+        seen.add(entry);
+
+        const score = scoreNames(target, entry);
+        if (score >= threshold) {
+          matches.push({
+            record: entry.record,
+            score: Number(score.toFixed(3)),
+          });
+        }
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+  };
+
+  return { findSimilar };
+};
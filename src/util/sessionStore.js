@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import redis from "../domains/redis.js";
+import createToken from "./createToken.js";
+import ROLES from "../config/roles.js";
+import { UnauthorizedError } from "./errorHandler.js";
+
+const ACCESS_TOKEN_EXPIRY =
+  process.env.ACCESS_TOKEN_EXPIRY || process.env.TOKEN_EXPIRY || "15m";
+const REFRESH_TOKEN_TTL =
+  Number(process.env.REFRESH_TOKEN_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+const sessionKey = (sid) => `session:${sid}`;
+const refreshKey = (hash) => `refresh:${hash}`;
+const usedRefreshKey = (hash) => `refresh-used:${hash}`;
+const subjectKey = ({ type, id }) => `sessions:${type}:${id}`;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const expiration = { expiration: { type: "EX", value: REFRESH_TOKEN_TTL } };
+
+/* las sesiones se agrupan por cliente o por usuario del panel */
+export const subjectTypeOf = (role) =>
+  role === ROLES.client ? "client" : "admin";
+
+const subjectOf = (payload) => ({
+  type: subjectTypeOf(payload.role),
+  id: payload.id,
+});
+
+const issueTokens = async (payload, sid) => {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const refreshHash = hashToken(refreshToken);
+
+  await redis
+    .multi()
+    .set(
+      sessionKey(sid),
+      JSON.stringify({ subject: subjectOf(payload), refreshHash }),
+      expiration
+    )
+    .set(refreshKey(refreshHash), sid, expiration)
+    .exec();
+
+  return {
+    token: await createToken({ ...payload, sid }, undefined, ACCESS_TOKEN_EXPIRY),
+    refreshToken,
+  };
+};
+
+/**
+ * Abre una sesión nueva y devuelve el token de acceso y el de refresco.
+ * @param {Object} payload - Los datos del usuario que viajan en el token de acceso.
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+export const createSession = async (payload) => {
+  const sid = crypto.randomUUID();
+  const subject = subjectKey(subjectOf(payload));
+
+  await redis
+    .multi()
+    .sAdd(subject, sid)
+    .expire(subject, REFRESH_TOKEN_TTL)
+    .exec();
+
+  return issueTokens(payload, sid);
+};
+
+/**
+ * Cierra una sesión: invalida su token de refresco y los tokens de acceso emitidos.
+ * @param {string} sid - El id de sesión (claim `sid` del token de acceso).
+ */
+export const revokeSession = async (sid) => {
+  const rawSession = await redis.get(sessionKey(sid));
+  if (!rawSession) return;
+
+  const { subject, refreshHash } = JSON.parse(rawSession);
+  await redis
+    .multi()
+    .del(sessionKey(sid))
+    .del(refreshKey(refreshHash))
+    .sRem(subjectKey(subject), sid)
+    .exec();
+};
+
+/**
+ * Cierra todas las sesiones de un cliente o usuario del panel.
+ * @param {"client"|"admin"} type - El tipo de sujeto.
+ * @param {string} id - El id del cliente o usuario.
+ */
+export const revokeSubjectSessions = async (type, id) => {
+  const sids = await redis.sMembers(subjectKey({ type, id: String(id) }));
+  await Promise.all(sids.map((sid) => revokeSession(sid)));
+  await redis.del(subjectKey({ type, id: String(id) }));
+};
+
+/**
+ * Rota el token de refresco. Cada token sirve una sola vez: si se reutiliza uno
+ * ya rotado se asume que fue robado y se cierra la sesión completa.
+ * @param {string} refreshToken - El token de refresco recibido.
+ * @param {Function} loadPayload - `async ({ type, id }) => payload | null`; null si el usuario ya no puede ingresar.
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+export const rotateSession = async (refreshToken, loadPayload) => {
+  const refreshHash = hashToken(refreshToken);
+  const sid = await redis.getDel(refreshKey(refreshHash));
+
+  if (!sid) {
+    const reusedSid = await redis.get(usedRefreshKey(refreshHash));
+    if (reusedSid) await revokeSession(reusedSid);
+    throw new UnauthorizedError("REFRESH_TOKEN_INVALID");
+  }
+
+  await redis.set(usedRefreshKey(refreshHash), sid, expiration);
+
+  const rawSession = await redis.get(sessionKey(sid));
+  if (!rawSession) {
+    throw new UnauthorizedError("SESSION_INVALID");
+  }
+
+  const { subject } = JSON.parse(rawSession);
+  const payload = await loadPayload(subject);
+  if (!payload) {
+    await revokeSubjectSessions(subject.type, subject.id);
+    throw new UnauthorizedError("USER_ACCESS_REVOKED");
+  }
+
+  return issueTokens(payload, sid);
+};
+
+/**
+ * Indica si la sesión de un token de acceso sigue abierta.
+ * @param {string} sid - El id de sesión.
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sid) => {
+  if (!sid) return false;
+  return (await redis.exists(sessionKey(sid))) === 1;
+};
@@ -0,0 +1,36 @@
+/* operaciones de consulta que deben ignorar los documentos eliminados */
+const QUERY_HOOKS = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+/**
+ * Plugin de Mongoose para borrado lógico.
+ * Agrega `deletedAt` y excluye los documentos eliminados de toda consulta, salvo que
+ * el filtro ya mencione `deletedAt` o la consulta use `setOptions({ withDeleted: true })`.
+ * @param {mongoose.Schema} schema - El schema al que se aplica.
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({ deletedAt: { type: Date, default: null, index: true } });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted) return;
+    if (Object.hasOwn(this.getFilter(), "deletedAt")) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+export default softDeletePlugin;
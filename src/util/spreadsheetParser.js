@@ -0,0 +1,154 @@
+import path from "path";
+import * as XLSX from "xlsx";
+import { BadRequestError } from "./errorHandler.js";
+
+export const SPREADSHEET_EXTENSIONS = [".xlsx", ".xls", ".csv"];
+
+/* caracteres de Windows-1252 que no coinciden con Latin-1 (0x80-0x9F) */
+const CP1252_BYTES = new Map(
+  [
+    "€", null, "‚", "ƒ", "„", "…", "†", "‡", "ˆ", "‰", "Š", "‹", "Œ", null, "Ž", null,
+    null, "‘", "’", "“", "”", "•", "–", "—", "˜", "™", "š", "›", "œ", null, "ž", "Ÿ",
+  ]
+    .map((char, index) => [char, 0x80 + index])
+    .filter(([char]) => char !== null)
+);
+
+const utf8Decoder = new TextDecoder("utf-8", { fatal: true });
+
+/**
+ * Repara textos UTF-8 que fueron leídos como Latin-1/Windows-1252.
+ * Ej: "DescripciÃ³n" -> "Descripción". Si el texto no tiene ese patrón, lo devuelve intacto.
+ * @param {*} value - El texto a reparar.
+ * @returns {*} El texto reparado, o el valor original si no corresponde.
+ */
+export const fixMojibake = (value) => {
+  if (typeof value !== "string" || !/[ÂÃ]/.test(value)) return value;
+
+  const bytes = [];
+  for (const char of value) {
+    const code = char.charCodeAt(0);
+    const byte = code < 0x100 ? code : CP1252_BYTES.get(char);
+    if (byte === undefined) return value;
+    bytes.push(byte);
+  }
+
+  try {
+    return utf8Decoder.decode(Uint8Array.from(bytes));
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Decodifica un CSV detectando su codificación.
+ * Respeta los BOM de UTF-8/UTF-16; si el contenido no es UTF-8 válido asume Windows-1252,
+ * que es lo que exporta Excel en equipos configurados en español.
+ * @param {Buffer} buffer - El contenido crudo del archivo.
+ * @returns {string} El texto decodificado.
+ */
+export const decodeCsvBuffer = (buffer) => {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return buffer.subarray(3).toString("utf8");
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString("utf16le");
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder("utf-16be").decode(buffer.subarray(2));
+  }
+
+  try {
+    return utf8Decoder.decode(buffer);
+  } catch {
+    return new TextDecoder("windows-1252").decode(buffer);
+  }
+};
+
+/* clave de comparación de encabezados: sin acentos, mayúsculas ni puntuación */
+const headerKey = (header) =>
+  String(header)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+/**
+ * Renombra las columnas de cada fila a sus nombres canónicos.
+ * Las columnas desconocidas se conservan con el encabezado reparado.
+ * @param {Object[]} rows - Filas con los encabezados originales.
+ * @param {Object} headerMap - `{ canonico: [alias, ...] }`.
+ * @returns {Object[]} Filas con los encabezados canónicos.
+ */
+export const mapHeaders = (rows, headerMap) => {
+  const aliases = new Map();
+  for (const [canonical, variants] of Object.entries(headerMap)) {
+    for (const variant of [canonical, ...variants]) {
+      aliases.set(headerKey(variant), canonical);
+    }
+  }
+
+  return rows.map((row) => {
+    const mapped = {};
+    for (const [header, value] of Object.entries(row)) {
+      const fixedHeader = fixMojibake(header).trim();
+      const target = aliases.get(headerKey(fixedHeader)) || fixedHeader;
+      mapped[target] = fixMojibake(value);
+    }
+    return mapped;
+  });
+};
+
+/**
+ * Lee la primera hoja de un archivo .xlsx, .xls o .csv.
+ * Los CSV se leen como texto plano para no alterar formatos numéricos (ej: "1.234,56").
+ * @param {{ buffer: Buffer, originalname: string }} file - El archivo recibido por multer.
+ * @returns {Object[]} Las filas como objetos indexados por encabezado.
+ */
+export const parseSpreadsheet = ({ buffer, originalname }) => {
+  const extension = path.extname(originalname || "").toLowerCase();
+
+  if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+    throw new BadRequestError("UNSUPPORTED_FILE_FORMAT", {
+      params: { formats: SPREADSHEET_EXTENSIONS.join(", ") },
+    });
+  }
+
+  const workbook =
+    extension === ".csv"
+      ? XLSX.read(decodeCsvBuffer(buffer), { type: "string", raw: true })
+      : XLSX.read(buffer, { type: "buffer" });
+
+  const [firstSheet] = workbook.SheetNames;
+  if (!firstSheet) return [];
+
+  return XLSX.utils.sheet_to_json(workbook.Sheets[firstSheet], {
+    defval: "",
+    raw: true,
+  });
+};
+
+/**
+ * Convierte una celda de fecha en Date. Acepta el número de serie de Excel,
+ * "dd/mm/aaaa" y fechas ISO.
+ * @param {*} value - El valor de la celda.
+ * @returns {Date|null} null si la celda está vacía o no es una fecha válida.
+ */
+export const parseSheetDate = (value) => {
+  if (value === "" || value === null || value === undefined) return null;
+
+  if (typeof value === "number") {
+    // Excel cuenta los días desde el 30/12/1899.
+    return new Date(Math.round((value - 25569) * 86400 * 1000));
+  }
+
+  const text = String(value).trim();
+  const match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  const date = match
+    ? new Date(
+        Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1]))
+      )
+    : new Date(text);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+};
@@ -0,0 +1,105 @@
+import { once } from "events";
+import * as XLSX from "xlsx";
+import { BadRequestError } from "./errorHandler.js";
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv; charset=utf-8",
+};
+
+export const EXPORT_FORMATS = Object.keys(CONTENT_TYPES);
+
+/* el .xlsx se arma en memoria; las exportaciones más grandes van en .csv */
+const XLSX_MAX_ROWS = Number(process.env.EXPORT_XLSX_MAX_ROWS) || 50000;
+
+/**
+ * Arma una planilla con las columnas en el orden indicado.
+ * El CSV lleva BOM para que Excel lo abra como UTF-8 y no rompa los acentos.
+ * @param {Object[]} rows - Las filas, con los encabezados como claves.
+ * @param {string[]} headers - Los encabezados, en orden.
+ * @param {"xlsx"|"csv"} format - El formato de salida.
+ * @returns {Buffer}
+ */
+export const buildSpreadsheet = (rows, headers, format) => {
+  const sheet = XLSX.utils.json_to_sheet(rows, { header: headers });
+
+  if (format === "csv") {
+    return Buffer.from(`\uFEFF${XLSX.utils.sheet_to_csv(sheet)}`, "utf8");
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Datos");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+};
+
+/* una celda CSV, entre comillas si tiene separadores, comillas o saltos de línea */
+const csvCell = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(",")}\n`;
+
+/* escribe el CSV fila por fila, esperando al cliente si el buffer de salida se llena */
+const streamCsv = async (res, rows, headers) => {
+  res.write(`\uFEFF${csvLine(headers)}`);
+  for await (const row of rows) {
+    if (res.destroyed) break;
+    if (!res.write(csvLine(headers.map((header) => row[header])))) {
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  }
+  res.end();
+};
+
+/* junta las filas para el .xlsx, sin pasar de XLSX_MAX_ROWS */
+const collectRows = async (rows) => {
+  const collected = [];
+  for await (const row of rows) {
+    if (collected.length === XLSX_MAX_ROWS) {
+      throw new BadRequestError("EXPORT_TOO_LARGE", {
+        params: { max: XLSX_MAX_ROWS },
+      });
+    }
+    collected.push(row);
+  }
+  return collected;
+};
+
+/**
+ * Envía una planilla como archivo adjunto. El CSV se envía a medida que llegan
+ * las filas, así se puede exportar directo desde un cursor; el .xlsx se arma en
+ * memoria y se rechaza con EXPORT_TOO_LARGE si supera XLSX_MAX_ROWS filas.
+ * @param {Response} res - La respuesta de Express.
+ * @param {Object} file
+ * @param {Iterable<Object>|AsyncIterable<Object>} file.rows - Las filas, con los encabezados como claves.
+ * @param {string[]} file.headers - Los encabezados, en orden.
+ * @param {"xlsx"|"csv"} file.format - El formato de salida.
+ * @param {string} file.filename - El nombre del archivo, sin extensión.
+ */
+export const sendSpreadsheet = async (
+  res,
+  { rows, headers, format, filename }
+) => {
+  const attachmentHeaders = {
+    "Content-Type": CONTENT_TYPES[format],
+    "Content-Disposition": `attachment; filename="${filename}.${format}"`,
+  };
+
+  if (format === "csv") {
+    res.set(attachmentHeaders).status(200);
+    try {
+      await streamCsv(res, rows, headers);
+    } catch (error) {
+      // Con el archivo a medio enviar ya no se puede responder con un error.
+      if (!res.headersSent) throw error;
+      console.error("Error exportando la planilla:", error);
+      res.destroy(error);
+    }
+    return;
+  }
+
+  const buffer = buildSpreadsheet(await collectRows(rows), headers, format);
+  res.set({ ...attachmentHeaders, "Content-Length": buffer.length });
+  res.status(200).send(buffer);
+};
@@ -0,0 +1,17 @@
+import "dotenv/config";
+import conn from "./src/domains/db.js";
+import { redisConn } from "./src/domains/redis.js";
+import { startJobWorker } from "./src/domains/private/job/job.worker.js";
+
+// Worker dedicado para los trabajos en segundo plano. Con JOB_WORKER=external
+// la API solo los encola y este proceso los ejecuta.
+const startWorker = async () => {
+  await Promise.all([conn, redisConn]);
+  console.log("MongoDB y Redis ready");
+  await startJobWorker();
+};
+
+startWorker().catch((error) => {
+  console.error("No se pudo iniciar el worker de trabajos:", error);
+  process.exit(1);
+});